@@ -0,0 +1,391 @@
+/**
+ * FSI Course 2.0 - Account & Sync
+ *
+ * Syncs progress with a self-hosted server (server/sync-server.js) so it
+ * follows the learner across browsers. REST protocol, JSON bodies:
+ *
+ *   POST /api/register, /api/login  {username, password} → {token, username}
+ *   POST /api/sync  {cards, responses, discarded, linear} → {cursor, accepted, rejected, current}
+ *   GET  /api/sync?since=<cursor>  → {cursor, cards, responses, discarded, linear}
+ *
+ * Sync requests carry `Authorization: Bearer <token>`. Records:
+ * - cards: {cardId: {card, revlog, updatedAt, revert}}. The latest review
+ *   wins; on the same review, the later change (flag, suspend, ...) wins.
+ *   An undone review (revert) wins over changes made before the undo.
+ * - responses: [response], deduplicated by id; discarded: [responseId] of
+ *   undone answers, removed everywhere
+ * - linear: {state, updatedAt}, the latest activity wins
+ *
+ * Changes wait in an outbox (saved, so it survives reloads and offline
+ * periods) and are pushed shortly after; failed syncs retry with backoff.
+ */
+
+const FSI_Auth = {
+  CONFIG_KEY: 'allonsy_fsi_auth',  // {server, username, token}
+  OUTBOX_KEY: 'allonsy_fsi_sync',  // {cursor, cards: {cardId: updatedAt}, reverts, responses, discarded, lastSync}
+  LINEAR_KEY: 'allonsy_fsi_linear',
+
+  SYNC_DELAY: 5000,  // ms after a change before it's pushed
+  RETRY_DELAYS: [5000, 30000, 120000, 600000],  // After failed syncs, then the last one
+
+  config: null,
+  outbox: { cursor: 0, cards: {}, reverts: {}, responses: [], discarded: [], lastSync: null },
+  status: 'off',  // 'off', 'idle', 'syncing', 'offline' or 'error'
+  error: null,
+  onChange: null,  // Called on status changes and after remote changes arrived
+
+  _timer: null,
+  _retries: 0,
+  _syncing: null,
+  _applying: false,  // Remote changes being saved: not changes to push
+
+  // Browser globals, or required under Node
+  get storage() {
+    if (typeof FSI_Storage !== 'undefined') return FSI_Storage;
+    return typeof require !== 'undefined' ? require('./fsi-storage.js') : null;
+  },
+
+  get srs() {
+    if (typeof FSI_SRS !== 'undefined') return FSI_SRS;
+    return typeof require !== 'undefined' ? require('./fsi-srs.js') : null;
+  },
+
+  // Load the account and outbox; sync in the background when signed in
+  async init() {
+    this.config = await this.storage.get(this.CONFIG_KEY);
+    this.outbox = { ...this.outbox, ...(await this.storage.get(this.OUTBOX_KEY)) };
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', () => this.sync());
+    }
+    this.storage.subscribe(message => this._onRemoteChange(message));
+    if (this.isConfigured()) {
+      this.status = 'idle';
+      this.sync();
+    }
+    return this;
+  },
+
+  isConfigured() {
+    return !!(this.config && this.config.server && this.config.token);
+  },
+
+  // ============================================
+  // ACCOUNT
+  // ============================================
+
+  register(server, username, password) {
+    return this._signIn('register', server, username, password);
+  },
+
+  login(server, username, password) {
+    return this._signIn('login', server, username, password);
+  },
+
+  // The first sync sends everything studied in this browser so far
+  async _signIn(action, server, username, password) {
+    server = String(server || '').trim().replace(/\/+$/, '');
+    if (!/^https?:\/\//.test(server)) throw new Error('Bitte die Serveradresse mit http:// oder https:// angeben.');
+    const result = await this._fetch(server, 'POST', `/api/${action}`, { username, password });
+
+    this.config = { server, username: result.username, token: result.token };
+    await this.storage.set(this.CONFIG_KEY, this.config);
+
+    const now = new Date().toISOString();
+    this.outbox = { ...this._emptyOutbox(), responses: [...this.srs.analytics.responses] };
+    for (const card of Object.values(this.srs.cards)) {
+      if (card.reps > 0 || card.suspended || card.flagged) this.outbox.cards[card.id] = now;
+    }
+    await this._saveOutbox();
+    this._setStatus('idle');
+    return this.sync();
+  },
+
+  // Progress stays in this browser
+  async logout() {
+    clearTimeout(this._timer);
+    this.config = null;
+    this.outbox = this._emptyOutbox();
+    await this.storage.remove(this.CONFIG_KEY);
+    await this.storage.remove(this.OUTBOX_KEY);
+    this._setStatus('off');
+  },
+
+  // ============================================
+  // CHANGE TRACKING (called by FSI_SRS)
+  // ============================================
+
+  // revert: the cards go back to how they were before a review (undo); the
+  // server takes them even though their review is older
+  saveCards(cards, { revert = false } = {}) {
+    if (this._applying) return;
+    const now = new Date().toISOString();
+    for (const card of cards) {
+      this.outbox.cards[card.id] = now;
+      if (revert) this.outbox.reverts[card.id] = now;
+      else delete this.outbox.reverts[card.id];
+    }
+    this._changed();
+  },
+
+  saveResponse(response) {
+    this.outbox.responses.push(response);
+    this._changed();
+  },
+
+  // An undone answer: don't send it if it hasn't gone yet, else have it
+  // removed from the server and the other devices
+  discardResponse(response) {
+    const index = this.outbox.responses.indexOf(response);
+    if (index >= 0) this.outbox.responses.splice(index, 1);
+    else this.outbox.discarded.push(this.responseId(response));
+    this._changed();
+  },
+
+  // Changes waiting to be pushed
+  pendingCount() {
+    return Object.keys(this.outbox.cards).length + this.outbox.responses.length + this.outbox.discarded.length;
+  },
+
+  // Another tab signed in or out, or saved its outbox: its changes to push
+  // are ours too (pushing one twice is harmless)
+  _onRemoteChange({ key, value }) {
+    if (key === this.CONFIG_KEY) {
+      this.config = value;
+      this._setStatus(this.isConfigured() ? 'idle' : 'off');
+    }
+    if (key !== this.OUTBOX_KEY) return;
+    if (!value) {
+      this.outbox = this._emptyOutbox();
+      return;
+    }
+
+    for (const [id, updatedAt] of Object.entries(value.cards || {})) {
+      if ((this.outbox.cards[id] || '') >= updatedAt) continue;
+      this.outbox.cards[id] = updatedAt;
+      if (value.reverts?.[id] === updatedAt) this.outbox.reverts[id] = updatedAt;
+      else delete this.outbox.reverts[id];
+    }
+    const known = new Set(this.outbox.responses.map(r => this.responseId(r)));
+    this.outbox.responses.push(...(value.responses || []).filter(r => !known.has(this.responseId(r))));
+    this.outbox.discarded = [...new Set([...this.outbox.discarded, ...(value.discarded || [])])];
+    this.outbox.cursor = Math.max(this.outbox.cursor || 0, value.cursor || 0);
+    if ((value.lastSync || '') > (this.outbox.lastSync || '')) this.outbox.lastSync = value.lastSync;
+  },
+
+  _emptyOutbox() {
+    return { cursor: 0, cards: {}, reverts: {}, responses: [], discarded: [], lastSync: null };
+  },
+
+  _changed() {
+    this._saveOutbox();
+    this.scheduleSync();
+  },
+
+  scheduleSync(delay = this.SYNC_DELAY) {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.sync(), delay);
+  },
+
+  _saveOutbox() {
+    return this.storage.set(this.OUTBOX_KEY, this.outbox);
+  },
+
+  // ============================================
+  // SYNC
+  // ============================================
+
+  // Push the outbox, then pull what changed on the server since the last
+  // sync. One sync at a time; resolves false if it failed (and will retry).
+  sync() {
+    if (!this.isConfigured()) return Promise.resolve(false);
+    if (!this._syncing) {
+      this._syncing = this._sync().finally(() => { this._syncing = null; });
+    }
+    return this._syncing;
+  },
+
+  async _sync() {
+    clearTimeout(this._timer);
+    this._setStatus('syncing');
+    try {
+      await this._push();
+      await this._pull();
+      this._retries = 0;
+      this.outbox.lastSync = new Date().toISOString();
+      await this._saveOutbox();
+      this._setStatus('idle');
+      return true;
+    } catch (e) {
+      if (e.status === 401) {
+        this._setStatus('error', 'Die Anmeldung ist abgelaufen. Bitte neu anmelden.');
+        return false;
+      }
+      // Offline (no response) or server trouble: try again later
+      const delay = this.RETRY_DELAYS[Math.min(this._retries, this.RETRY_DELAYS.length - 1)];
+      this._retries++;
+      this._setStatus(e.status ? 'error' : 'offline', e.message);
+      this.scheduleSync(delay);
+      return false;
+    }
+  },
+
+  async _push() {
+    const srs = this.srs;
+    const pending = { ...this.outbox.cards };
+    const responses = this.outbox.responses.slice();
+    const discarded = this.outbox.discarded.slice();
+    const linear = await this.storage.get(this.LINEAR_KEY);
+    if (Object.keys(pending).length === 0 && responses.length === 0 && discarded.length === 0 && !linear) return;
+
+    const cards = {};
+    for (const [id, updatedAt] of Object.entries(pending)) {
+      const revert = this.outbox.reverts[id] === updatedAt;
+      if (srs.cards[id]) cards[id] = { card: srs.cards[id], revlog: srs.getRevlog(id), updatedAt, revert };
+    }
+    const result = await this._request('POST', '/api/sync', {
+      cards,
+      responses: responses.map(r => ({ ...r, id: this.responseId(r) })),
+      discarded,
+      linear: linear ? { state: linear, updatedAt: linear.last_activity || null } : null
+    });
+
+    // Cards the server has newer versions of: take those instead. A card
+    // rejected without one (malformed) stays in the outbox.
+    const rejected = new Set(result.rejected?.cards || []);
+    if (await this.applyRemote({ cards: result.current || {} }) && this.onChange) this.onChange();
+
+    // Sent: out of the outbox, unless changed again meanwhile
+    for (const [id, updatedAt] of Object.entries(pending)) {
+      if (rejected.has(id) && !result.current?.[id]) continue;
+      if (this.outbox.cards[id] !== updatedAt) continue;
+      delete this.outbox.cards[id];
+      delete this.outbox.reverts[id];
+    }
+    this.outbox.responses = this.outbox.responses.filter(r => !responses.includes(r));
+    this.outbox.discarded = this.outbox.discarded.filter(id => !discarded.includes(id));
+    await this._saveOutbox();
+  },
+
+  async _pull() {
+    const result = await this._request('GET', `/api/sync?since=${this.outbox.cursor || 0}`);
+    const changed = await this.applyRemote(result);
+    this.outbox.cursor = result.cursor;
+    if (changed && this.onChange) this.onChange();
+  },
+
+  // Take what's newer on the server: cards (with their review logs), responses
+  // missing here (less those undone elsewhere), linear progress. Returns
+  // whether anything changed.
+  async applyRemote({ cards = {}, responses = [], discarded = [], linear = null }) {
+    const srs = this.srs;
+    const newer = {};
+    for (const [id, record] of Object.entries(cards)) {
+      const local = srs.cards[id];
+      // A local change still waiting to be pushed counts from when it was made
+      const updatedAt = this.outbox.cards[id] || null;
+      const revert = !!updatedAt && this.outbox.reverts[id] === updatedAt;
+      if (local && !this.isNewer(record, { card: local, updatedAt, revert })) continue;
+      newer[id] = record.card;
+      if (record.revlog?.length) srs.revlog[id] = record.revlog;
+      else delete srs.revlog[id];
+      delete this.outbox.cards[id];
+      delete this.outbox.reverts[id];
+    }
+    // In place: the session queue holds the card objects
+    srs._adoptCards(newer);
+    const changedCards = Object.keys(newer).map(id => srs.cards[id]).filter(Boolean);
+    if (changedCards.length > 0) {
+      this._applying = true;
+      try {
+        await srs.saveCards(changedCards);
+        await Promise.all(changedCards.map(card => srs._saveRevlog(card.id)));
+      } finally {
+        this._applying = false;
+      }
+    }
+
+    const undone = new Set(discarded);
+    const kept = srs.analytics.responses.filter(r => !undone.has(this.responseId(r)));
+    const known = new Set(kept.map(r => this.responseId(r)));
+    const added = responses.filter(r => !known.has(this.responseId(r)) && !undone.has(this.responseId(r)));
+    const removed = srs.analytics.responses.length - kept.length;
+    if (added.length > 0 || removed > 0) {
+      srs.analytics.responses = [...kept, ...added]
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      await srs.storage.putAll('responses', srs.analytics.responses);
+    }
+
+    let linearChanged = false;
+    if (linear?.state) {
+      const local = await this.storage.get(this.LINEAR_KEY);
+      if ((linear.updatedAt || '') > (local?.last_activity || '')) {
+        await this.storage.set(this.LINEAR_KEY, linear.state);
+        if (typeof FSI_Linear !== 'undefined') FSI_Linear.state = { ...FSI_Linear.state, ...linear.state };
+        linearChanged = true;
+      }
+    }
+
+    return changedCards.length > 0 || added.length > 0 || removed > 0 || linearChanged;
+  },
+
+  // Conflict rule for card records ({card, updatedAt, revert}): the latest
+  // review wins; on the same review, the later change. An undo goes back to
+  // an older review, so against a revert only the later change counts.
+  // Shared with the server.
+  isNewer(a, b) {
+    if (a.revert || b.revert) return (a.updatedAt || '') > (b.updatedAt || '');
+    const reviewed = record => record.card?.last_review ? new Date(record.card.last_review).getTime() : -Infinity;
+    if (reviewed(a) !== reviewed(b)) return reviewed(a) > reviewed(b);
+    return (a.updatedAt || '') > (b.updatedAt || '');
+  },
+
+  // Responses logged before ids existed are identified by time and card
+  responseId(response) {
+    return response.id || `${response.timestamp}|${response.cardId}`;
+  },
+
+  // ============================================
+  // HTTP
+  // ============================================
+
+  _request(method, path, body) {
+    return this._fetch(this.config.server, method, path, body, this.config.token);
+  },
+
+  // JSON request; throws with the server's message and the HTTP status, or
+  // without status when the server can't be reached
+  async _fetch(server, method, path, body = null, token = null) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    let response;
+    try {
+      response = await fetch(server + path, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (e) {
+      throw new Error('Server nicht erreichbar.');
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(result.error || `Serverfehler (${response.status}).`);
+      error.status = response.status;
+      throw error;
+    }
+    return result;
+  },
+
+  _setStatus(status, error = null) {
+    this.status = status;
+    this.error = error;
+    if (this.onChange) this.onChange();
+  }
+};
+
+// Export
+if (typeof module !== 'undefined') {
+  module.exports = FSI_Auth;
+}
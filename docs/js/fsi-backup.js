@@ -0,0 +1,253 @@
+/**
+ * FSI Course 2.0 - Progress Backup
+ *
+ * A backup file holds everything a profile saves: card schedules, review logs,
+ * analytics, fitted weights, deck options (daily limits, directions and
+ * registers), today's counters, linear progress, Sie/du and direction defaults
+ * and TTS settings.
+ *
+ * Import replaces the saved progress, or merges with it: per card, the one
+ * reviewed last wins (with its review log), and responses are combined by
+ * timestamp.
+ */
+
+const FSI_Backup = {
+  FORMAT: 'rhodes-german-backup',
+  VERSION: 1,
+  MAX_ERRORS: 10,  // Validation errors listed before "… N more"
+
+  // Saved values, by backup field
+  KEYS: {
+    params: 'allonsy_fsi_params',
+    options: 'allonsy_fsi_options',
+    daily: 'allonsy_fsi_daily',
+    linear: 'allonsy_fsi_linear',
+    prefs: 'allonsy_fsi_prefs',
+    tts: 'rhodes_german_tts'
+  },
+
+  // FSI_Storage: browser global, or required under Node
+  get storage() {
+    if (typeof FSI_Storage !== 'undefined') return FSI_Storage;
+    return typeof require !== 'undefined' ? require('./fsi-storage.js') : null;
+  },
+
+  // ============================================
+  // EXPORT
+  // ============================================
+
+  async create() {
+    const storage = this.storage;
+    const data = {
+      cards: await storage.getAll('cards'),
+      revlog: await storage.getAll('revlog'),
+      responses: await storage.getAll('responses'),
+      userId: await storage.get(storage.USER_KEY)
+    };
+    for (const [field, key] of Object.entries(this.KEYS)) {
+      data[field] = await storage.get(key);
+    }
+
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      data
+    };
+  },
+
+  // With the profile's name, if given
+  fileName(date = new Date(), profile = null) {
+    const name = profile ? profile.toLowerCase().replace(/[^a-z0-9äöüß]+/g, '-').replace(/^-|-$/g, '') : '';
+    return `rhodes-german-backup-${name ? name + '-' : ''}${date.toISOString().slice(0, 10)}.json`;
+  },
+
+  // ============================================
+  // VALIDATION
+  // ============================================
+
+  // Problems with a parsed backup file, as readable sentences ([] = fine)
+  validate(backup) {
+    if (!this._isObject(backup)) return ['Die Datei enthält keine Sicherung.'];
+    if (backup.format !== this.FORMAT) {
+      return [Array.isArray(backup.responses)
+        ? 'Das ist ein Analytics-Export, keine vollständige Sicherung.'
+        : 'Die Datei ist keine Sicherung von Rhodes German.'];
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      return ['Die Sicherung hat keine gültige Formatversion.'];
+    }
+    if (backup.version > this.VERSION) {
+      return [`Die Sicherung stammt aus einer neueren Version (Format ${backup.version}). Bitte die App aktualisieren.`];
+    }
+    const data = backup.data;
+    if (!this._isObject(data)) return ['Die Sicherung enthält keine Daten.'];
+
+    const errors = [];
+    if (!this._isObject(data.cards)) {
+      errors.push('Die Karten fehlen.');
+    } else {
+      for (const [id, card] of Object.entries(data.cards)) {
+        errors.push(...this._cardErrors(id, card));
+      }
+    }
+
+    if (data.revlog != null && !this._isObject(data.revlog)) {
+      errors.push('Das Wiederholungsprotokoll ist ungültig.');
+    } else {
+      for (const [id, log] of Object.entries(data.revlog || {})) {
+        if (!Array.isArray(log)) errors.push(`Wiederholungsprotokoll von ${id}: keine Liste.`);
+      }
+    }
+
+    if (data.responses != null && !Array.isArray(data.responses)) {
+      errors.push('Die Antworten (Analytics) sind keine Liste.');
+    } else {
+      (data.responses || []).forEach((response, i) => {
+        if (!this._isObject(response) || !this._isDate(response.timestamp)) {
+          errors.push(`Antwort ${i + 1}: Zeitstempel fehlt oder ist ungültig.`);
+        }
+      });
+    }
+
+    for (const field of Object.keys(this.KEYS)) {
+      if (data[field] != null && !this._isObject(data[field])) {
+        errors.push(`„${field}“ ist ungültig.`);
+      }
+    }
+
+    if (errors.length > this.MAX_ERRORS) {
+      return [...errors.slice(0, this.MAX_ERRORS), `… und ${errors.length - this.MAX_ERRORS} weitere Fehler.`];
+    }
+    return errors;
+  },
+
+  _cardErrors(id, card) {
+    const where = `Karte ${id}`;
+    if (!this._isObject(card)) return [`${where}: keine Karte.`];
+
+    const errors = [];
+    if (card.id !== id) errors.push(`${where}: gespeichert als „${card.id}“.`);
+    if (!this._isDate(card.due)) errors.push(`${where}: Fälligkeitsdatum fehlt oder ist ungültig.`);
+    if (card.last_review != null && !this._isDate(card.last_review)) {
+      errors.push(`${where}: letzte Wiederholung ist kein Datum.`);
+    }
+    if (![0, 1, 2, 3].includes(card.state)) errors.push(`${where}: unbekannter Status ${JSON.stringify(card.state)}.`);
+    for (const key of ['stability', 'difficulty', 'reps', 'lapses']) {
+      if (!Number.isFinite(card[key])) errors.push(`${where}: ${key} ist keine Zahl.`);
+    }
+    return errors;
+  },
+
+  _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  },
+
+  _isDate(value) {
+    return typeof value === 'string' && !isNaN(new Date(value));
+  },
+
+  // ============================================
+  // IMPORT
+  // ============================================
+
+  // Save a backup: mode 'replace' (the backup only) or 'merge' (with the
+  // saved progress). Throws with the validation errors if it isn't valid.
+  // Returns {cards, fromBackup, responses}.
+  async restore(backup, mode = 'merge') {
+    const errors = this.validate(backup);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+
+    const incoming = this._normalize(backup.data);
+    const data = mode === 'replace' ? incoming : this.merge((await this.create()).data, incoming);
+    await this._write(data);
+
+    return {
+      cards: Object.keys(data.cards).length,
+      fromBackup: Object.keys(data.cards).filter(id => data.cards[id] === incoming.cards[id]).length,
+      responses: data.responses.length
+    };
+  },
+
+  // Merge two backups' data. Per card, the one reviewed last wins, with its
+  // review log (ties keep the local card). Settings stay local where set.
+  merge(local, incoming) {
+    local = this._normalize(local);
+    incoming = this._normalize(incoming);
+    const reviewed = card => card?.last_review ? new Date(card.last_review).getTime() : -Infinity;
+
+    const cards = { ...local.cards };
+    const revlog = { ...incoming.revlog, ...local.revlog };
+    for (const [id, card] of Object.entries(incoming.cards)) {
+      if (!cards[id] || reviewed(card) > reviewed(cards[id])) {
+        cards[id] = card;
+        if (incoming.revlog[id]) revlog[id] = incoming.revlog[id];
+        else delete revlog[id];
+      }
+    }
+
+    return {
+      cards,
+      revlog,
+      responses: this._mergeResponses(local.responses, incoming.responses),
+      userId: local.userId ?? incoming.userId,
+      // Weights fitted last
+      params: (incoming.params?.optimizedAt || '') > (local.params?.optimizedAt || '') ? incoming.params : local.params,
+      options: local.options ?? incoming.options,
+      daily: this._mergeDaily(local.daily, incoming.daily),
+      // Linear progress used last
+      linear: (incoming.linear?.last_activity || '') > (local.linear?.last_activity || '') ? incoming.linear : local.linear,
+      prefs: local.prefs ?? incoming.prefs,
+      tts: local.tts ?? incoming.tts
+    };
+  },
+
+  // Both sets of responses, oldest first, without duplicates
+  _mergeResponses(local, incoming) {
+    const key = r => `${r.timestamp}|${r.cardId}|${r.userAnswer}`;
+    const seen = new Set(local.map(key));
+    return [...local, ...incoming.filter(r => !seen.has(key(r)))]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  },
+
+  // Today's counters: the later day, or the higher counts on the same day
+  _mergeDaily(local, incoming) {
+    if (!local || !incoming) return local ?? incoming;
+    if (local.day !== incoming.day) return (incoming.day || '') > (local.day || '') ? incoming : local;
+    return {
+      day: local.day,
+      newCards: Math.max(local.newCards || 0, incoming.newCards || 0),
+      reviews: Math.max(local.reviews || 0, incoming.reviews || 0)
+    };
+  },
+
+  // Backup data with every field present
+  _normalize(data) {
+    const normalized = {
+      cards: data.cards || {},
+      revlog: data.revlog || {},
+      responses: data.responses || [],
+      userId: data.userId ?? null
+    };
+    for (const field of Object.keys(this.KEYS)) {
+      normalized[field] = data[field] ?? null;
+    }
+    return normalized;
+  },
+
+  async _write(data) {
+    const storage = this.storage;
+    await storage.putAll('cards', data.cards);
+    await storage.putAll('revlog', data.revlog);
+    await storage.putAll('responses', data.responses);
+    await (data.userId ? storage.set(storage.USER_KEY, data.userId) : storage.remove(storage.USER_KEY));
+    for (const [field, key] of Object.entries(this.KEYS)) {
+      await (data[field] ? storage.set(key, data[field]) : storage.remove(key));
+    }
+  }
+};
+
+// Export
+if (typeof module !== 'undefined') {
+  module.exports = FSI_Backup;
+}
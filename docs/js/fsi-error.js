@@ -1,151 +1,907 @@
-/**
- * FSI French Course - Error Classification System
- * SIMPLIFIED: Focus on accuracy over cleverness
- */
-
-const FSI_Error = {
-  // Normalize text for comparison
-  normalize(text) {
-    return text
-      .toLowerCase()
-      .replace(/[-'']/g, "'")  // Normalize apostrophes
-      .replace(/[.,!?;:«»""]/g, '')  // Strip punctuation
-      .trim()
-      .replace(/\s+/g, ' ');
-  },
-
-  // Strip accents for fuzzy matching
-  stripAccents(text) {
-    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-  },
-
-  // Tokenize into words (no punctuation)
-  tokenize(text) {
-    return this.normalize(text).split(' ').filter(w => w.length > 0);
-  },
-
-  // Levenshtein distance
-  levenshtein(a, b) {
-    const matrix = [];
-    for (let i = 0; i <= b.length; i++) matrix[i] = [i];
-    for (let j = 0; j <= a.length; j++) matrix[0][j] = j;
-    for (let i = 1; i <= b.length; i++) {
-      for (let j = 1; j <= a.length; j++) {
-        if (b.charAt(i-1) === a.charAt(j-1)) {
-          matrix[i][j] = matrix[i-1][j-1];
-        } else {
-          matrix[i][j] = Math.min(matrix[i-1][j-1] + 1, matrix[i][j-1] + 1, matrix[i-1][j] + 1);
-        }
-      }
-    }
-    return matrix[b.length][a.length];
-  },
-
-  // Main classification - SIMPLE AND RELIABLE
-  classify(userInput, expected) {
-    const userNorm = this.normalize(userInput);
-    const expNorm = this.normalize(expected);
-
-    // Exact match
-    if (userNorm === expNorm) {
-      return { correct: true, errors: [], feedback: '' };
-    }
-
-    // Match ignoring accents - FORGIVE by default but show difference
-    if (this.stripAccents(userNorm) === this.stripAccents(expNorm)) {
-      return {
-        correct: true,  // Forgive accent errors
-        accentWarning: true,  // Flag for UI to show accent feedback
-        errors: [{ type: 'accent', feedback: 'Watch the accents' }],
-        feedback: `Accents: ${expected}`
-      };
-    }
-
-    const userWords = this.tokenize(userInput);
-    const expWords = this.tokenize(expected);
-
-    // Build word sets for comparison
-    const userSet = new Set(userWords);
-    const expSet = new Set(expWords);
-
-    // Find missing and extra words
-    const missing = expWords.filter(w => !userSet.has(w));
-    const extra = userWords.filter(w => !expSet.has(w));
-
-    const errors = [];
-
-    // Check for spelling errors (extra word is close to a missing word)
-    const spellingPairs = [];
-    for (const extraWord of [...extra]) {
-      for (const missWord of [...missing]) {
-        const dist = this.levenshtein(extraWord, missWord);
-        if (dist <= 2 && dist > 0) {
-          spellingPairs.push({ got: extraWord, expected: missWord, dist });
-          // Remove from missing/extra since we identified it
-          extra.splice(extra.indexOf(extraWord), 1);
-          missing.splice(missing.indexOf(missWord), 1);
-          break;
-        }
-      }
-    }
-
-    // Add spelling errors
-    for (const pair of spellingPairs) {
-      if (this.stripAccents(pair.got) === this.stripAccents(pair.expected)) {
-        errors.push({
-          type: 'accent',
-          got: pair.got,
-          expected: pair.expected,
-          feedback: `Accent: "${pair.got}" → "${pair.expected}"`
-        });
-      } else {
-        errors.push({
-          type: 'spelling',
-          got: pair.got,
-          expected: pair.expected,
-          feedback: `Spelling: "${pair.got}" → "${pair.expected}"`
-        });
-      }
-    }
-
-    // Add missing words (limit to first 3 to avoid noise)
-    if (missing.length > 0) {
-      const missingList = missing.slice(0, 3).map(w => `"${w}"`).join(', ');
-      const moreCount = missing.length > 3 ? ` (+${missing.length - 3} more)` : '';
-      errors.push({
-        type: 'missing',
-        words: missing,
-        feedback: `Missing: ${missingList}${moreCount}`
-      });
-    }
-
-    // Add extra words (limit to first 3)
-    if (extra.length > 0) {
-      const extraList = extra.slice(0, 3).map(w => `"${w}"`).join(', ');
-      const moreCount = extra.length > 3 ? ` (+${extra.length - 3} more)` : '';
-      errors.push({
-        type: 'extra',
-        words: extra,
-        feedback: `Extra: ${extraList}${moreCount}`
-      });
-    }
-
-    // Generate feedback
-    let feedback = '';
-    if (errors.length > 0) {
-      feedback = errors.map(e => e.feedback).join('\n');
-    }
-
-    return {
-      correct: false,
-      errors,
-      primaryError: errors[0] || { type: 'error' },
-      feedback
-    };
-  }
-};
-
-// Export
-if (typeof module !== 'undefined') {
-  module.exports = FSI_Error;
-}
+/**
+ * FSI German Course - Error Classification System
+ * SIMPLIFIED: Focus on accuracy over cleverness
+ */
+
+const FSI_Error = {
+  // Error types that don't make an answer wrong (shown as warnings)
+  SOFT_TYPES: ['accent', 'orthography', 'eszett', 'capitalization'],
+
+  // US-keyboard spellings of umlauts and ß
+  TRANSLITERATIONS: { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss', 'Ä': 'Ae', 'Ö': 'Oe', 'Ü': 'Ue' },
+
+  // Words learners swap for each other. Each group lists the forms of its
+  // members and one short explanation shown whenever they are mixed up.
+  CONFUSABLES: [
+    {
+      lang: 'de',
+      words: { wenn: ['wenn'], wann: ['wann'], als: ['als'] },
+      note: 'wann asks "when?"; als is one event in the past; wenn is "if" or "whenever"'
+    },
+    {
+      lang: 'de',
+      words: { das: ['das'], dass: ['dass', 'daß'] },
+      note: 'das is an article or pronoun; dass ("that") introduces a clause'
+    },
+    {
+      lang: 'de',
+      words: { seit: ['seit'], seid: ['seid'] },
+      note: 'seit means "since/for" (time); seid is "you are" (ihr seid)'
+    },
+    {
+      lang: 'de',
+      words: {
+        kennen: ['kenne', 'kennst', 'kennt', 'kennen', 'kannte', 'kanntest', 'kannten', 'gekannt'],
+        wissen: ['weiß', 'weißt', 'wissen', 'wisst', 'wusste', 'wusstest', 'wussten', 'gewusst']
+      },
+      note: 'kennen is knowing a person or place; wissen is knowing a fact'
+    },
+    {
+      lang: 'de',
+      words: {
+        legen: ['lege', 'legst', 'legt', 'legen', 'legte', 'legten', 'gelegt'],
+        liegen: ['liege', 'liegst', 'liegt', 'liegen', 'lag', 'lagen', 'gelegen']
+      },
+      note: 'legen is putting something down (wohin? + accusative); liegen is lying there (wo? + dative)'
+    },
+    {
+      lang: 'de',
+      words: {
+        stellen: ['stelle', 'stellst', 'stellt', 'stellen', 'stellte', 'stellten', 'gestellt'],
+        stehen: ['stehe', 'stehst', 'steht', 'stehen', 'stand', 'standen', 'gestanden']
+      },
+      note: 'stellen is standing something up (wohin? + accusative); stehen is standing there (wo? + dative)'
+    },
+    {
+      lang: 'de',
+      words: {
+        setzen: ['setze', 'setzt', 'setzen', 'setzte', 'setzten', 'gesetzt'],
+        sitzen: ['sitze', 'sitzt', 'sitzen', 'saß', 'saßen', 'gesessen']
+      },
+      note: 'setzen is seating someone or sich setzen (wohin? + accusative); sitzen is sitting there (wo? + dative)'
+    },
+    {
+      lang: 'de',
+      words: {
+        'hängen (put)': ['hängte', 'hängten', 'gehängt'],
+        'hängen (be)': ['hing', 'hingen', 'gehangen']
+      },
+      note: 'hängen with an object is weak (hängte, gehängt); hängen meaning "to be hanging" is strong (hing, gehangen)'
+    },
+    {
+      lang: 'de',
+      words: {
+        bekommen: ['bekomme', 'bekommst', 'bekommt', 'bekommen', 'bekam', 'bekamst', 'bekamen'],
+        werden: ['werde', 'wirst', 'wird', 'werden', 'werdet', 'wurde', 'wurdest', 'wurden', 'geworden']
+      },
+      note: 'bekommen means "to get/receive", not "to become" - that is werden'
+    },
+    {
+      lang: 'en',
+      words: {
+        become: ['become', 'becomes', 'became', 'becoming'],
+        get: ['get', 'gets', 'got', 'getting', 'receive', 'receives', 'received', 'receiving']
+      },
+      note: 'bekommen means "to get/receive", not "to become" (werden)'
+    }
+  ],
+
+  // Words that only hold a sentence together, besides GermanGrammar's
+  // articles, prepositions and conjunctions. Leaving one out is a slip;
+  // leaving out any other word loses part of the meaning.
+  FUNCTION_WORDS: {
+    de: [
+      'ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'man',
+      'mich', 'dich', 'sich', 'uns', 'euch', 'mir', 'dir', 'ihm', 'ihn', 'ihnen',
+      'im', 'ins', 'am', 'ans', 'zum', 'zur', 'vom', 'beim',
+      'ja', 'doch', 'mal', 'denn', 'schon', 'eben', 'halt', 'wohl'
+    ],
+    en: [
+      'the', 'a', 'an', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'us', 'them',
+      'my', 'your', 'his', 'her', 'its', 'our', 'their', 'to', 'of', 'in', 'on', 'at', 'for',
+      'with', 'from', 'by', 'and', 'or', 'but', 'that', 'do', 'does', 'did', 'am', 'is', 'are'
+    ]
+  },
+
+  isFunctionWord(word, german = true) {
+    if (!german) return this.FUNCTION_WORDS.en.includes(word);
+    const g = this.grammar;
+    return this.FUNCTION_WORDS.de.includes(word) || !!(g && (g.determiner(word) ||
+      g.prepositionCases[word] || g.subordinators.includes(word) || g.coordinators.includes(word)));
+  },
+
+  // Strip punctuation and collapse whitespace, keeping case
+  clean(text) {
+    return text
+      .replace(/[-'']/g, "'")  // Normalize apostrophes
+      .replace(/[.,!?;:«»""„“]/g, '')  // Strip punctuation
+      .trim()
+      .replace(/\s+/g, ' ');
+  },
+
+  // Normalize text for comparison
+  normalize(text) {
+    return this.clean(text.toLowerCase());
+  },
+
+  // Strip accents for fuzzy matching
+  stripAccents(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  },
+
+  // Strip accents but keep umlauts (café → cafe, für stays für)
+  stripForeignAccents(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u0307\u0309-\u036f]/g, '').normalize('NFC');
+  },
+
+  // Spell umlauts and ß out (für → fuer, Straße → Strasse)
+  transliterate(text) {
+    return text.replace(/[äöüßÄÖÜ]/g, ch => this.TRANSLITERATIONS[ch]);
+  },
+
+  // Tokenize into words (no punctuation)
+  tokenize(text) {
+    return this.normalize(text).split(' ').filter(w => w.length > 0);
+  },
+
+  // Tokenize keeping case (for capitalization checks)
+  tokenizeCased(text) {
+    return this.clean(text).split(' ').filter(w => w.length > 0);
+  },
+
+  isSoft(error) {
+    return this.SOFT_TYPES.includes(error.type);
+  },
+
+  // Levenshtein distance
+  levenshtein(a, b) {
+    const matrix = [];
+    for (let i = 0; i <= b.length; i++) matrix[i] = [i];
+    for (let j = 0; j <= a.length; j++) matrix[0][j] = j;
+    for (let i = 1; i <= b.length; i++) {
+      for (let j = 1; j <= a.length; j++) {
+        if (b.charAt(i-1) === a.charAt(j-1)) {
+          matrix[i][j] = matrix[i-1][j-1];
+        } else {
+          matrix[i][j] = Math.min(matrix[i-1][j-1] + 1, matrix[i][j-1] + 1, matrix[i-1][j] + 1);
+        }
+      }
+    }
+    return matrix[b.length][a.length];
+  },
+
+  // Classify a misspelled word that is otherwise the expected word
+  // (accents, umlauts, ß). Returns null for ordinary spelling errors.
+  _wordError(got, expected, german) {
+    const g = got.toLowerCase();
+    const e = expected.toLowerCase();
+
+    if (!german) {
+      if (this.stripAccents(g) !== this.stripAccents(e)) return null;
+      return { type: 'accent', got, expected, feedback: `Accent: "${got}" → "${expected}"` };
+    }
+
+    if (this.stripForeignAccents(g) === this.stripForeignAccents(e)) {
+      return { type: 'accent', got, expected, feedback: `Accent: "${got}" → "${expected}"` };
+    }
+
+    // ae/oe/ue/ss typed for ä/ö/ü/ß - correct, but show the proper spelling
+    if (this.transliterate(g) === this.transliterate(e)) {
+      if (g.replace(/ß/g, 'ss') === e.replace(/ß/g, 'ss')) {
+        return { type: 'eszett', got, expected, feedback: `ß/ss: "${got}" → "${expected}"` };
+      }
+      return { type: 'orthography', got, expected, feedback: `Umlaut: "${got}" → "${expected}"` };
+    }
+
+    // Umlaut dropped entirely (fur/für, schon/schön) - a different word
+    if (this.stripAccents(g) === this.stripAccents(e)) {
+      return { type: 'umlaut', got, expected, feedback: `Umlaut: "${got}" → "${expected}"` };
+    }
+
+    return null;
+  },
+
+  // Wrong ending on the right determiner (den/dem, einen/einem, meinen/meinem).
+  // prevWord is the word before the expected determiner (a preposition decides the case).
+  _determinerError(got, expected, prevWord) {
+    const g = this.grammar;
+    if (!g) return null;
+    const gotDet = g.determiner(got);
+    const expDet = g.determiner(expected);
+    if (!gotDet || !expDet || gotDet.stem !== expDet.stem) return null;
+
+    // Expected case: from the preposition, else the case only the expected form has
+    const preposition = prevWord && g.prepositionCases[prevWord] ? prevWord : null;
+    const expectedCase = (preposition && g.caseAfterPreposition(preposition, expDet.cases)) ||
+      expDet.cases.find(c => !gotDet.cases.includes(c)) ||
+      (expDet.cases.length === 1 ? expDet.cases[0] : null);
+    const gotCase = gotDet.cases.find(c => !expDet.cases.includes(c)) ||
+      gotDet.cases.find(c => c !== expectedCase);
+
+    // Endings that can't be told apart by case (die/das) are gender/number errors
+    if (!expectedCase || !gotCase) {
+      return {
+        type: 'grammar',
+        subtype: 'article',
+        got,
+        expected,
+        feedback: `Article: "${got}" → "${expected}"`
+      };
+    }
+
+    const reason = preposition ? ` after "${preposition}"` : '';
+    return {
+      type: 'grammar',
+      subtype: 'case',
+      got,
+      expected,
+      gotCase,
+      expectedCase,
+      preposition,
+      feedback: `Case: "${got}" is ${gotCase}, "${expected}" is ${expectedCase}${reason}`
+    };
+  },
+
+  // One member of a confusable pair used for the other (liegen/legen, das/dass)
+  _confusableError(got, expected, german) {
+    const lang = german ? 'de' : 'en';
+    for (const group of this.CONFUSABLES) {
+      if (group.lang !== lang) continue;
+      const member = word => Object.keys(group.words).find(k => group.words[k].includes(word));
+      const gotWord = member(got);
+      const expWord = member(expected);
+      if (!gotWord || !expWord || gotWord === expWord) continue;
+      return {
+        type: 'confusable',
+        got,
+        expected,
+        pair: [gotWord, expWord],
+        feedback: `Confusable: "${got}" → "${expected}" - ${group.note}`
+      };
+    }
+    return null;
+  },
+
+  // Wrong form of the right verb: person ending (ich gehst), strong stem
+  // change (er fahrt) or Perfekt auxiliary (ich habe gegangen).
+  // expWords/index locate the expected verb so its subject can be found.
+  _conjugationError(got, expected, expWords, index) {
+    const g = this.grammar;
+    if (!g || index < 0) return null;
+
+    // Only verb slots: next to a subject pronoun, or a known finite verb
+    const pronoun = [expWords[index - 1], expWords[index + 1]]
+      .find(w => g.subjectPronouns.includes(w));
+    if (!pronoun && !g.isFiniteVerb(expected)) return null;
+
+    const gotAux = g.auxiliaryOf(got);
+    const expAux = g.auxiliaryOf(expected);
+    if (gotAux && expAux && gotAux !== expAux) {
+      const participle = expWords.slice(index + 1).find(w => g.isParticiple(w));
+      if (!participle) return null;
+      return {
+        type: 'grammar',
+        subtype: 'auxiliary',
+        got,
+        expected,
+        verb: participle,
+        auxiliary: expAux,
+        feedback: `Auxiliary: "${participle}" takes ${expAux} → "${expected}", not "${got}"`
+      };
+    }
+
+    const gotVerb = g.analyzeVerb(got);
+    const expVerb = g.analyzeVerb(expected);
+    if (!gotVerb || !expVerb) return null;
+    const person = (pronoun && expVerb.persons.find(p => g.personMatches(p, pronoun))) ||
+      expVerb.persons[0];
+
+    // Stem change left out (er fahrt) or added where it doesn't belong (wir fähren)
+    if (gotVerb.ending && gotVerb.ending === expVerb.ending) {
+      const verb = g.isStemChange(gotVerb.stem, expVerb.stem) ? gotVerb.infinitive :
+        g.isStemChange(expVerb.stem, gotVerb.stem) ? expVerb.infinitive : null;
+      if (verb) {
+        return {
+          type: 'grammar',
+          subtype: 'stem_change',
+          got,
+          expected,
+          verb,
+          person,
+          feedback: `Stem change: ${verb} → "${expected}" for ${person}, not "${got}"`
+        };
+      }
+    }
+
+    if (gotVerb.infinitive !== expVerb.infinitive || gotVerb.persons.includes(person)) return null;
+    const gotPerson = gotVerb.persons.join(' or ');
+    return {
+      type: 'grammar',
+      subtype: 'conjugation',
+      got,
+      expected,
+      verb: expVerb.infinitive,
+      person,
+      gotPerson,
+      feedback: `Conjugation: "${got}" is the ${gotPerson} form of ${expVerb.infinitive}; ${person} → "${expected}"`
+    };
+  },
+
+  // Compare capitalization word by word (sentence-initial word excluded).
+  // Only meaningful when both answers have the same words in the same order.
+  _capitalizationErrors(userInput, expected) {
+    const userWords = this.tokenizeCased(userInput);
+    const expWords = this.tokenizeCased(expected);
+    if (userWords.length !== expWords.length) return [];
+
+    const isCapitalized = w => w[0] !== w[0].toLowerCase();
+    const errors = [];
+    for (let i = 1; i < expWords.length; i++) {
+      if (isCapitalized(userWords[i]) === isCapitalized(expWords[i])) continue;
+      errors.push({
+        type: 'capitalization',
+        got: userWords[i],
+        expected: expWords[i],
+        feedback: `Capitalization: "${userWords[i]}" → "${expWords[i]}"`
+      });
+    }
+    return errors;
+  },
+
+  // ============================================
+  // ALIGNMENT (structured diff)
+  // ============================================
+
+  // Optimal alignment of the answer `a` against the expected `b` (Damerau-Levenshtein).
+  // Ops describe what the learner did to the expected sequence:
+  //   equal, substitute, insert (extra item), delete (item left out), transpose (adjacent swap)
+  align(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const d = [];
+    for (let i = 0; i <= n; i++) {
+      d[i] = [i];
+      for (let j = 1; j <= m; j++) d[i][j] = i === 0 ? j : 0;
+    }
+    for (let i = 1; i <= n; i++) {
+      for (let j = 1; j <= m; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1] && cost) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    // Backtrace from the end
+    const ops = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+      if (i > 0 && j > 0 && a[i - 1] === b[j - 1] && d[i][j] === d[i - 1][j - 1]) {
+        ops.push({ op: 'equal', a: i - 1, b: j - 1 });
+        i--; j--;
+      } else if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1] &&
+                 d[i][j] === d[i - 2][j - 2] + 1) {
+        ops.push({ op: 'transpose', a: i - 1, b: j - 2 }, { op: 'transpose', a: i - 2, b: j - 1 });
+        i -= 2; j -= 2;
+      } else if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + 1) {
+        ops.push({ op: 'substitute', a: i - 1, b: j - 1 });
+        i--; j--;
+      } else if (i > 0 && d[i][j] === d[i - 1][j] + 1) {
+        ops.push({ op: 'insert', a: i - 1, b: null });
+        i--;
+      } else {
+        ops.push({ op: 'delete', a: null, b: j - 1 });
+        j--;
+      }
+    }
+    return ops.reverse();
+  },
+
+  // Character-level diff of two words: [{op, got, expected}]
+  alignChars(got, expected) {
+    const a = [...got];
+    const b = [...expected];
+    return this.align(a, b).map(o => ({
+      op: o.op,
+      got: o.a === null ? null : a[o.a],
+      expected: o.b === null ? null : b[o.b]
+    }));
+  },
+
+  // Misspelling of the same word (typo, accent, umlaut) rather than a different word
+  _isNearMiss(got, expected) {
+    const dist = this.levenshtein(got, expected);
+    return (dist <= 2 && dist < Math.max(got.length, expected.length) / 2) ||
+      !!this._wordError(got, expected, true);
+  },
+
+  // Word-level diff of an answer against the expected sentence, in answer order.
+  // Entries: {op, got, expected, userIndex, expIndex, chars?}. A word left out in
+  // one place and typed in another becomes a pair of 'move' entries.
+  diff(userInput, expected) {
+    const userWords = this.tokenize(userInput);
+    const expWords = this.tokenize(expected);
+    const userCased = this.tokenizeCased(userInput);
+    const expCased = this.tokenizeCased(expected);
+
+    const entries = [];
+    const push = (op, a, b) => entries.push({
+      op,
+      got: a === null ? null : userCased[a],
+      expected: b === null ? null : expCased[b],
+      userIndex: a,
+      expIndex: b
+    });
+    for (const o of this.align(userWords, expWords)) {
+      if (o.op !== 'substitute') {
+        push(o.op, o.a, o.b);
+      } else if (this._isNearMiss(userWords[o.a], expWords[o.b])) {
+        push('substitute', o.a, o.b);
+        entries[entries.length - 1].chars = this.alignChars(userCased[o.a], expCased[o.b]);
+      } else {
+        // Unrelated words: an extra word and a missing one
+        push('insert', o.a, null);
+        push('delete', null, o.b);
+      }
+    }
+
+    // Same word deleted here and inserted there: it was moved (exact matches first,
+    // then misspelled ones, which keep a character diff)
+    for (const exact of [true, false]) {
+      for (const ins of entries) {
+        if (ins.op !== 'insert') continue;
+        const word = userWords[ins.userIndex];
+        const del = entries.find(e => e.op === 'delete' && (exact
+          ? word === expWords[e.expIndex]
+          : this._isNearMiss(word, expWords[e.expIndex])));
+        if (!del) continue;
+        ins.op = 'move';
+        del.op = 'move';
+        ins.expIndex = del.expIndex;
+        if (!exact) ins.chars = this.alignChars(ins.got, del.expected);
+      }
+    }
+    return entries;
+  },
+
+  // ============================================
+  // ACCEPTED ANSWERS
+  // ============================================
+
+  // Expand a drill field into the answers it accepts:
+  // "Hello! / Good day!" → both, "husband/boyfriend" → one per word,
+  // "I am a doctor. (female)" → note dropped, "Thomas (Müller)." → with and without
+  expandAnswers(text) {
+    if (!text) return [];
+    if (text.includes('\n')) return [text];  // Dialogues are graded whole
+
+    const answers = [];
+    for (const alt of text.split(/\s+\/\s+/)) {
+      const variants = [alt.replace(/\s*\([^)]*\)/g, '')];
+      // Parentheses inside the sentence mark optional words, after it they're notes
+      if (/[^.!?\s]\s*\(/.test(alt)) variants.push(alt.replace(/[()]/g, ''));
+
+      for (const variant of variants) {
+        for (const answer of this._expandWordSlashes(variant.trim())) {
+          if (answer && !answers.includes(answer)) answers.push(answer);
+        }
+      }
+    }
+    return answers;
+  },
+
+  // "my husband/boyfriend" → ["my husband", "my boyfriend"] (capped at 16 combinations)
+  _expandWordSlashes(text) {
+    const slashed = /[A-Za-zÄÖÜäöüß]+(?:\/[A-Za-zÄÖÜäöüß]+)+/;
+    const match = text.match(slashed);
+    if (!match) return [text];
+    const results = [];
+    for (const option of match[0].split('/')) {
+      const rest = this._expandWordSlashes(text.replace(match[0], option));
+      results.push(...rest);
+      if (results.length >= 16) break;
+    }
+    return results.slice(0, 16);
+  },
+
+  // Spell out English contractions so "I'm" and "I am" compare equal
+  expandContractions(text) {
+    return text
+      .replace(/[’‘]/g, "'")
+      .replace(/\bwon't\b/gi, 'will not')
+      .replace(/\bcan't\b|\bcannot\b/gi, 'can not')
+      .replace(/\blet's\b/gi, 'let us')
+      .replace(/n't\b/gi, ' not')
+      .replace(/'re\b/gi, ' are')
+      .replace(/'m\b/gi, ' am')
+      .replace(/'ll\b/gi, ' will')
+      .replace(/'ve\b/gi, ' have')
+      .replace(/'d\b/gi, ' would')
+      .replace(/\b(he|she|it|that|what|where|who|there|here|how)'s\b/gi, '$1 is');
+  },
+
+  // Classify against every accepted answer; the best match wins.
+  // The result carries the answer it was graded against in `expected`.
+  classifyAny(userInput, answers, options = {}) {
+    let best = null;
+    for (const answer of answers) {
+      const result = { ...this.classify(userInput, answer, options), expected: answer };
+      if (!best || this._isBetterMatch(result, best, userInput)) best = result;
+      if (result.correct && result.errors.length === 0) break;
+    }
+    return best;
+  },
+
+  _isBetterMatch(a, b, userInput) {
+    if (a.correct !== b.correct) return a.correct;
+    if (a.correct) return a.errors.length < b.errors.length;
+    // Both wrong: feedback against the closest answer is the most useful
+    const user = this.normalize(userInput);
+    return this.levenshtein(user, this.normalize(a.expected)) <
+      this.levenshtein(user, this.normalize(b.expected));
+  },
+
+  // ============================================
+  // REGISTER (Sie vs du)
+  // ============================================
+
+  // Classify against the register asked for (answers). If that fails but the
+  // answer is right in the other register (otherAnswers), it's a 'register'
+  // error rather than a wrong answer. register: 'formal' or 'informal'.
+  classifyRegister(userInput, answers, otherAnswers, register, options = {}) {
+    const result = this.classifyAny(userInput, answers, options);
+    if (result.correct || otherAnswers.length === 0) return result;
+
+    const other = this.classifyAny(userInput, otherAnswers, options);
+    if (!other.correct) return result;
+
+    const error = {
+      type: 'register',
+      got: register === 'formal' ? 'informal' : 'formal',
+      expected: register,
+      feedback: register === 'formal'
+        ? 'Register: that is the du form - this drill asks for Sie'
+        : 'Register: that is the Sie form - this drill asks for du'
+    };
+    const errors = [error, ...other.errors];
+    return {
+      correct: false,
+      registerMismatch: true,
+      errors,
+      primaryError: error,
+      feedback: errors.map(e => e.feedback).join('\n'),
+      expected: result.expected,
+      matched: other.expected
+    };
+  },
+
+  // ============================================
+  // WORD ORDER (same words, different order)
+  // ============================================
+
+  // GermanGrammar tables: browser global, or required under Node
+  get grammar() {
+    if (typeof GermanGrammar !== 'undefined') return GermanGrammar;
+    return typeof require !== 'undefined' ? require('./german-grammar.js') : null;
+  },
+
+  // True if both token lists hold the same words (with repeats) in any order
+  sameWords(a, b) {
+    if (a.length !== b.length) return false;
+    const sa = [...a].sort();
+    const sb = [...b].sort();
+    return sa.every((w, i) => w === sb[i]);
+  },
+
+  // Map each expected token index to the user's index of the same occurrence
+  // (2nd "die" in expected ↔ 2nd "die" in the answer)
+  _positionMap(userWords, expWords) {
+    const seen = {};
+    const map = [];
+    for (const word of expWords) {
+      const k = seen[word] = (seen[word] || 0) + 1;
+      let idx = -1;
+      for (let n = 0; n < k; n++) idx = userWords.indexOf(word, idx + 1);
+      map.push(idx);
+    }
+    return map;
+  },
+
+  // Split the expected sentence into clauses at commas: [{start, end, subordinate, opener}]
+  _clauseSpans(expected) {
+    const g = this.grammar;
+    const spans = [];
+    let start = 0;
+    for (const part of expected.split(/[,;:]/)) {
+      const tokens = this.tokenize(part);
+      if (tokens.length === 0) continue;
+      const opener = tokens[0];
+      const subordinate = g.subordinators.includes(opener) ||
+        (spans.length > 0 && g.clauseOpeners.includes(opener) && !g.isFiniteVerb(tokens[1]));
+      spans.push({ start, end: start + tokens.length, subordinate, opener, tokens });
+      start += tokens.length;
+    }
+    return spans;
+  },
+
+  // Index of the finite verb within a main clause's tokens, or -1
+  _findFiniteVerb(tokens) {
+    const g = this.grammar;
+    const known = tokens.findIndex(w => g.isFiniteVerb(w));
+    if (known >= 0) return known;
+    if (g.subjectPronouns.includes(tokens[0]) && tokens.length > 1) return 1;
+    // Inverted: "Heute gehe ich"
+    return tokens.findIndex((w, i) => i < tokens.length - 1 && g.subjectPronouns.includes(tokens[i + 1]));
+  },
+
+  // Name the word order rule(s) the answer breaks. Caller guarantees sameWords().
+  // German rules need GermanGrammar; otherwise a general word order error.
+  _wordOrderErrors(userWords, expWords, expected, german = true) {
+    const g = this.grammar;
+    const pos = this._positionMap(userWords, expWords);
+    const errors = [];
+    // Does the token at expected index i come after every other token of its clause?
+    const isLastIn = (i, span) => {
+      for (let j = span.start; j < span.end; j++) {
+        if (j !== i && pos[j] > pos[i]) return false;
+      }
+      return true;
+    };
+
+    if (g && german) {
+      const spans = this._clauseSpans(expected);
+      spans.forEach((span, idx) => {
+        const last = span.end - 1;
+
+        // Verb-final: weil/dass/ob... clauses end with the finite verb
+        if (span.subordinate) {
+          if (!isLastIn(last, span)) {
+            errors.push({
+              type: 'word_order',
+              rule: 'verb_final',
+              word: expWords[last],
+              feedback: `Word order: in the "${span.opener}" clause, "${expWords[last]}" goes to the end`
+            });
+          }
+          return;
+        }
+
+        // Skip a leading und/aber/oder - it doesn't take a position
+        const offset = g.coordinators.includes(span.tokens[0]) ? 1 : 0;
+        const tokens = span.tokens.slice(offset);
+        const v = this._findFiniteVerb(tokens);
+        if (v < 0) return;
+        const verbIdx = span.start + offset + v;
+
+        // Verb bracket: participle/infinitive/separable prefix closes the clause
+        const lastWord = expWords[last];
+        if (last > verbIdx && !isLastIn(last, span)) {
+          const kind = g.separablePrefixes.includes(lastWord) ? 'prefix'
+            : g.isParticiple(lastWord) ? 'participle'
+            : g.isInfinitive(lastWord) ? 'infinitive' : null;
+          if (kind) {
+            errors.push({
+              type: 'word_order',
+              rule: 'verb_bracket',
+              word: lastWord,
+              feedback: `Word order: the ${kind} "${lastWord}" goes to the end of the clause`
+            });
+          }
+        }
+
+        // Verb second (or first, in yes/no questions and commands):
+        // flag only if the answer puts strictly more or fewer words before the verb
+        const before = (p) => {
+          const set = [];
+          for (let j = span.start + offset; j < span.end; j++) {
+            if (j !== verbIdx && pos[j] < p) set.push(j);
+          }
+          return set;
+        };
+        const expBefore = [];
+        for (let j = span.start + offset; j < verbIdx; j++) expBefore.push(j);
+        const userBefore = before(pos[verbIdx]);
+        const superset = expBefore.every(j => userBefore.includes(j));
+        const subset = userBefore.every(j => expBefore.includes(j));
+        if (superset !== subset) {
+          const verbFirst = v === 0 && idx === 0;
+          errors.push({
+            type: 'word_order',
+            rule: verbFirst ? 'verb_first' : 'verb_second',
+            word: expWords[verbIdx],
+            feedback: verbFirst
+              ? `Word order: the verb "${expWords[verbIdx]}" comes first`
+              : `Word order: the verb "${expWords[verbIdx]}" must be in second position`
+          });
+        }
+      });
+    }
+
+    if (errors.length === 0) {
+      errors.push({
+        type: 'word_order',
+        rule: 'general',
+        feedback: 'Word order: all the right words, in the wrong order'
+      });
+    }
+    return errors;
+  },
+
+  // Result for an answer with the right words: correct unless a hard error is present
+  _wordLevelResult(errors) {
+    const hard = errors.filter(e => !this.isSoft(e));
+    const soft = errors.filter(e => this.isSoft(e));
+    const ordered = [...hard, ...soft];
+    const feedback = ordered.map(e => e.feedback).join('\n');
+
+    if (hard.length > 0) {
+      return { correct: false, errors: ordered, primaryError: hard[0], feedback };
+    }
+    if (soft.length === 0) {
+      return { correct: true, errors: [], feedback: '' };
+    }
+    return {
+      correct: true,  // Forgive orthography, flag it for the UI
+      warning: true,
+      accentWarning: soft.some(e => e.type === 'accent'),
+      errors: ordered,
+      primaryError: soft[0],
+      feedback
+    };
+  },
+
+  // Main classification - SIMPLE AND RELIABLE
+  // options.lang: 'de' (default) enables German orthography rules, 'en' for English answers.
+  // Results with errors carry a structured `diff` (see diff()) for inline highlighting.
+  classify(userInput, expected, options = {}) {
+    const german = options.lang !== 'en';
+    if (!german) {
+      userInput = this.expandContractions(userInput);
+      expected = this.expandContractions(expected);
+    }
+    const result = this._classify(userInput, expected, german);
+    if (result.errors.length > 0 && !result.diff) {
+      result.diff = this.diff(userInput, expected);
+    }
+    return result;
+  },
+
+  _classify(userInput, expected, german) {
+    const userNorm = this.normalize(userInput);
+    const expNorm = this.normalize(expected);
+
+    // Exact match (German: capitalization still counts as a soft error)
+    if (userNorm === expNorm) {
+      return this._wordLevelResult(german ? this._capitalizationErrors(userInput, expected) : []);
+    }
+
+    const userWords = this.tokenize(userInput);
+    const expWords = this.tokenize(expected);
+
+    // Same words, spelled differently - FORGIVE accents/ae/ss but show difference
+    if (userWords.length === expWords.length) {
+      const userCased = this.tokenizeCased(userInput);
+      const expCased = this.tokenizeCased(expected);
+      const wordErrors = [];
+      let explained = true;
+      for (let i = 0; i < expWords.length && explained; i++) {
+        if (userWords[i] === expWords[i]) continue;
+        const err = this._confusableError(userWords[i], expWords[i], german) ||
+          (german && this._conjugationError(userWords[i], expWords[i], expWords, i)) ||
+          (german && this._determinerError(userWords[i], expWords[i], expWords[i - 1])) ||
+          this._wordError(userCased[i], expCased[i], german);
+        if (err) wordErrors.push(err);
+        else explained = false;
+      }
+      if (explained) {
+        const capErrors = german ? this._capitalizationErrors(userInput, expected) : [];
+        return this._wordLevelResult([...wordErrors, ...capErrors]);
+      }
+    }
+
+    // Align the words so repeats ("die ... die") and positions are kept;
+    // moved and swapped words are neither missing nor extra
+    const diff = this.diff(userInput, expected);
+    const missing = [];
+    const extra = [];
+    for (const entry of diff) {
+      // Misspelled words (in place or moved) pair up again below as spelling errors
+      const misspelled = entry.op === 'substitute' || (entry.op === 'move' && entry.chars);
+      if (entry.op === 'insert' || misspelled) extra.push(userWords[entry.userIndex]);
+      if (entry.op === 'delete' || misspelled) missing.push(expWords[entry.expIndex]);
+    }
+
+    const errors = [];
+
+    // Check for spelling errors (extra word is close to a missing word)
+    const spellingPairs = [];
+    for (const extraWord of [...extra]) {
+      for (const missWord of [...missing]) {
+        const close = this._confusableError(extraWord, missWord, german) ||
+          this._wordError(extraWord, missWord, german) ||
+          (german && this._determinerError(extraWord, missWord)) ||
+          (german && this._conjugationError(extraWord, missWord, expWords, expWords.indexOf(missWord))) ||
+          this.levenshtein(extraWord, missWord) <= 2;
+        if (close) {
+          spellingPairs.push({ got: extraWord, expected: missWord });
+          // Remove from missing/extra since we identified it
+          extra.splice(extra.indexOf(extraWord), 1);
+          missing.splice(missing.indexOf(missWord), 1);
+          break;
+        }
+      }
+    }
+
+    // Add spelling errors
+    for (const pair of spellingPairs) {
+      const index = expWords.indexOf(pair.expected);
+      errors.push(this._confusableError(pair.got, pair.expected, german) ||
+        (german && this._conjugationError(pair.got, pair.expected, expWords, index)) ||
+        (german && this._determinerError(pair.got, pair.expected, expWords[index - 1])) ||
+        this._wordError(pair.got, pair.expected, german) || {
+        type: 'spelling',
+        got: pair.got,
+        expected: pair.expected,
+        feedback: `Spelling: "${pair.got}" → "${pair.expected}"`
+      });
+    }
+
+    // Add missing words (limit to first 3 to avoid noise)
+    if (missing.length > 0) {
+      const missingList = missing.slice(0, 3).map(w => `"${w}"`).join(', ');
+      const moreCount = missing.length > 3 ? ` (+${missing.length - 3} more)` : '';
+      errors.push({
+        type: 'missing',
+        words: missing,
+        content: missing.filter(w => !this.isFunctionWord(w, german)),
+        feedback: `Missing: ${missingList}${moreCount}`
+      });
+    }
+
+    // Add extra words (limit to first 3)
+    if (extra.length > 0) {
+      const extraList = extra.slice(0, 3).map(w => `"${w}"`).join(', ');
+      const moreCount = extra.length > 3 ? ` (+${extra.length - 3} more)` : '';
+      errors.push({
+        type: 'extra',
+        words: extra,
+        feedback: `Extra: ${extraList}${moreCount}`
+      });
+    }
+
+    // Nothing missing or extra once spelling is fixed: the order is wrong
+    if (missing.length === 0 && extra.length === 0) {
+      const corrected = userWords.map(w => {
+        const pair = spellingPairs.find(p => p.got === w);
+        return pair ? pair.expected : w;
+      });
+      if (this.sameWords(corrected, expWords) && corrected.some((w, i) => w !== expWords[i])) {
+        errors.push(...this._wordOrderErrors(corrected, expWords, expected, german));
+      }
+    }
+
+    // Hard errors first so errors[0] reflects the real problem
+    errors.sort((a, b) => this.isSoft(a) - this.isSoft(b));
+
+    // Generate feedback
+    let feedback = '';
+    if (errors.length > 0) {
+      feedback = errors.map(e => e.feedback).join('\n');
+    }
+
+    return {
+      correct: false,
+      errors,
+      primaryError: errors[0] || { type: 'error' },
+      feedback,
+      diff
+    };
+  }
+};
+
+// Export
+if (typeof module !== 'undefined') {
+  module.exports = FSI_Error;
+}
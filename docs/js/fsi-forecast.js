@@ -0,0 +1,183 @@
+/**
+ * FSI Course 2.0 - Workload Forecast & Retention Simulator
+ *
+ * - forecast(): reviews due per day over the next 30/90 days, from the
+ *   current cards' due dates and stabilities
+ * - simulate(): "what if I add N new cards per day at retention R"
+ *
+ * Both use FSI_SRS's FSRS functions. Clock (`now`) and RNG (`random`) are
+ * injectable so results are reproducible.
+ */
+
+const FSI_Forecast = {
+  DAY_MS: 24 * 60 * 60 * 1000,
+
+  // FSI_SRS: browser global, or required under Node
+  get srs() {
+    if (typeof FSI_SRS !== 'undefined') return FSI_SRS;
+    return typeof require !== 'undefined' ? require('./fsi-srs.js') : null;
+  },
+
+  // Deterministic RNG for reproducible simulations (mulberry32)
+  seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  // Start of the study day containing `now` (days change at FSI_SRS dayStartHour)
+  _startOfDay(now) {
+    const hour = this.srs.params.dayStartHour || 0;
+    const day = new Date(now);
+    day.setHours(day.getHours() - hour);
+    day.setHours(hour, 0, 0, 0);
+    return day;
+  },
+
+  _dateKey(start, offset) {
+    const d = new Date(start);
+    d.setDate(d.getDate() + offset);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  },
+
+  // Day index of a date relative to `start` (overdue → 0)
+  _dayIndex(start, date) {
+    return Math.max(0, Math.floor((new Date(date) - start) / this.DAY_MS));
+  },
+
+  // Scheduled cards as simulation state: {stability, difficulty, dueDay, lastDay}
+  _cardStates(cards, start) {
+    const srs = this.srs;
+    const states = [];
+    for (const card of Object.values(cards)) {
+      // Buried cards count: they return by tomorrow
+      if (card.graduated || card.suspended || card.remediation ||
+          card.state === srs.State.New || !srs.isActive(card)) continue;
+      const dueDay = this._dayIndex(start, card.due);
+      states.push({
+        stability: card.stability > 0 ? card.stability : srs.initStability(srs.Rating.Good),
+        difficulty: card.difficulty > 0 ? card.difficulty : srs.initDifficulty(srs.Rating.Good),
+        dueDay,
+        lastDay: card.last_review ? Math.floor((new Date(card.last_review) - start) / this.DAY_MS) : dueDay
+      });
+    }
+    return states;
+  },
+
+  // ============================================
+  // FORECAST
+  // ============================================
+
+  // Reviews due per day for the next `days` days: [{date, reviews}].
+  // Each review is projected forward assuming it is answered Good.
+  // options: {cards, now, retention}
+  forecast(days = 30, options = {}) {
+    const srs = this.srs;
+    const start = this._startOfDay(options.now || Date.now());
+    const retention = options.retention || srs.params.requestRetention;
+    const reviews = new Array(days).fill(0);
+
+    for (const card of this._cardStates(options.cards || srs.cards, start)) {
+      let { stability, difficulty, dueDay, lastDay } = card;
+      while (dueDay < days) {
+        reviews[dueDay]++;
+        const r = srs.retrievability(dueDay - lastDay, stability);
+        stability = srs.nextReviewStability(difficulty, stability, r, srs.Rating.Good);
+        difficulty = srs.nextDifficulty(difficulty, srs.Rating.Good);
+        lastDay = dueDay;
+        dueDay += Math.max(1, Math.min(srs.nextInterval(stability, retention), srs.params.maximumInterval));
+      }
+    }
+
+    return reviews.map((count, i) => ({ date: this._dateKey(start, i), reviews: count }));
+  },
+
+  // ============================================
+  // SIMULATION
+  // ============================================
+
+  // Simulate `days` days of study: existing cards plus `newPerDay` new cards,
+  // scheduled for `retention`. Recall is drawn from the FSRS forgetting curve.
+  // options: {days, newPerDay, retention, newCards, cards, now, random}
+  // Returns {days: [{date, reviews, newCards, lapses}], summary}
+  simulate(options = {}) {
+    const srs = this.srs;
+    const { Good, Again } = srs.Rating;
+    const days = options.days || 90;
+    const newPerDay = options.newPerDay ?? 10;
+    const retention = options.retention || srs.params.requestRetention;
+    const random = options.random || Math.random;
+    const cards = options.cards || srs.cards;
+    const start = this._startOfDay(options.now || Date.now());
+    let newLeft = options.newCards ??
+      Object.values(cards).filter(c => c.state === srs.State.New && !c.graduated && !c.suspended && srs.isActive(c)).length;
+
+    const interval = s => Math.max(1, Math.min(srs.nextInterval(s, retention), srs.params.maximumInterval));
+    const states = this._cardStates(cards, start);
+    const result = [];
+
+    for (let day = 0; day < days; day++) {
+      let reviews = 0;
+      let lapses = 0;
+
+      for (const card of states) {
+        if (card.dueDay !== day) continue;
+        reviews++;
+        const r = srs.retrievability(day - card.lastDay, card.stability);
+        if (random() < r) {
+          card.stability = srs.nextReviewStability(card.difficulty, card.stability, r, Good);
+          card.difficulty = srs.nextDifficulty(card.difficulty, Good);
+          card.dueDay = day + interval(card.stability);
+        } else {
+          lapses++;
+          card.stability = Math.max(0.1, srs.nextForgetStability(card.difficulty, card.stability, r));
+          card.difficulty = srs.nextDifficulty(card.difficulty, Again);
+          card.dueDay = day + 1;  // Relearned today, back tomorrow
+        }
+        card.lastDay = day;
+      }
+
+      // New cards: learned today, first review after the graduating interval
+      const newCards = Math.min(newPerDay, newLeft);
+      newLeft -= newCards;
+      for (let i = 0; i < newCards; i++) {
+        states.push({
+          stability: srs.initStability(Good),
+          difficulty: srs.initDifficulty(Good),
+          dueDay: day + srs.params.graduatingInterval,
+          lastDay: day
+        });
+      }
+
+      result.push({ date: this._dateKey(start, day), reviews, newCards, lapses });
+    }
+
+    // Expected recall of every card on the last simulated day
+    const recall = states.map(c => srs.retrievability(days - 1 - c.lastDay, c.stability));
+    const totalReviews = result.reduce((sum, d) => sum + d.reviews, 0);
+    return {
+      days: result,
+      summary: {
+        totalReviews,
+        averageReviews: Math.round(totalReviews / days),
+        peakReviews: Math.max(0, ...result.map(d => d.reviews)),
+        newCards: result.reduce((sum, d) => sum + d.newCards, 0),
+        lapses: result.reduce((sum, d) => sum + d.lapses, 0),
+        cards: states.length,
+        memorized: Math.round(recall.reduce((sum, r) => sum + r, 0)),
+        averageRecall: recall.length ? recall.reduce((sum, r) => sum + r, 0) / recall.length : 0
+      }
+    };
+  }
+};
+
+// Export
+if (typeof module !== 'undefined') {
+  module.exports = FSI_Forecast;
+}
@@ -0,0 +1,21 @@
+/**
+ * FSI Course 2.0 - FSRS Optimizer Web Worker
+ *
+ * Runs FSI_Optimizer off the main thread.
+ * In:  {responses, w}
+ * Out: {type: 'progress', iteration, iterations, logLoss} ... {type: 'done', result}
+ */
+
+importScripts('fsi-srs.js', 'fsi-optimizer.js');
+
+self.onmessage = (e) => {
+  try {
+    const result = FSI_Optimizer.optimize(e.data.responses, {
+      w: e.data.w,
+      onProgress: progress => self.postMessage({ type: 'progress', ...progress })
+    });
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
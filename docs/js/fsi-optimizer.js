@@ -0,0 +1,253 @@
+/**
+ * FSI Course 2.0 - FSRS Parameter Optimizer
+ *
+ * Fits the 17 FSRS weights to the learner's own review history by
+ * minimizing log-loss on recall outcomes. Uses FSI_SRS's memory model,
+ * so the fitted weights drop straight into FSI_SRS.params.w.
+ *
+ * Runs in a Web Worker in the browser (fsi-optimizer-worker.js) or from
+ * Node over an exported analytics file:
+ *   node docs/js/fsi-optimizer.js analytics.json [--force]
+ */
+
+const FSI_Optimizer = {
+  DAY_MS: 24 * 60 * 60 * 1000,
+
+  // Allowed range per weight (keeps the fit sane on small histories)
+  BOUNDS: [
+    [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],  // w0-3: initial stability per grade
+    [1, 10], [0.1, 5],  // w4-5: initial difficulty
+    [0.1, 5], [0, 0.75],  // w6-7: difficulty update, mean reversion
+    [0, 4.5], [0, 0.8], [0.01, 3.5],  // w8-10: stability after success
+    [0.1, 5], [0.01, 0.2], [0.01, 0.9], [0.01, 4],  // w11-14: stability after lapse
+    [0, 1], [1, 6]  // w15-16: Hard penalty, Easy bonus
+  ],
+
+  // Gradient descent (Adam) on weights scaled to [0, 1] within BOUNDS
+  settings: {
+    iterations: 150,
+    learningRate: 0.01,
+    step: 1e-4,  // Finite difference step
+    progressEvery: 10
+  },
+
+  // FSI_SRS: browser/worker global, or required under Node
+  get srs() {
+    if (typeof FSI_SRS !== 'undefined') return FSI_SRS;
+    return typeof require !== 'undefined' ? require('./fsi-srs.js') : null;
+  },
+
+  // ============================================
+  // DATASET
+  // ============================================
+
+  // Review histories per card from analytics responses: [[{t, grade}]], t in
+  // days since the previous review. Only the first review of a day counts -
+  // later ones are learning steps, not recall after a delay.
+  buildDataset(responses) {
+    const byCard = {};
+    for (const r of responses) {
+      if (!r.cardId || !r.timestamp) continue;
+      const time = Date.parse(r.timestamp);
+      if (isNaN(time)) continue;
+      const grade = r.grade || (r.correct ? this.srs.Rating.Good : this.srs.Rating.Again);
+      (byCard[r.cardId] = byCard[r.cardId] || []).push({ time, grade });
+    }
+
+    const histories = [];
+    for (const reviews of Object.values(byCard)) {
+      reviews.sort((a, b) => a.time - b.time);
+      const history = [];
+      let lastDay = null;
+      let lastTime = null;
+      for (const review of reviews) {
+        const day = Math.floor(review.time / this.DAY_MS);
+        if (day === lastDay) continue;
+        history.push({
+          t: lastTime === null ? 0 : (review.time - lastTime) / this.DAY_MS,
+          grade: review.grade
+        });
+        lastDay = day;
+        lastTime = review.time;
+      }
+      if (history.length >= 2) histories.push(history);
+    }
+    return histories;
+  },
+
+  // Reviews with a recall outcome to learn from (every review but a card's first)
+  countReviews(histories) {
+    return histories.reduce((sum, h) => sum + h.length - 1, 0);
+  },
+
+  reviewCount(responses) {
+    return this.countReviews(this.buildDataset(responses));
+  },
+
+  // ============================================
+  // MODEL & LOSS
+  // ============================================
+
+  // FSI_SRS with its weights swapped for w
+  _model(w) {
+    const srs = this.srs;
+    return Object.assign(Object.create(srs), { params: { ...srs.params, w } });
+  },
+
+  // Predicted recall probability and actual outcome for every review
+  predict(w, histories) {
+    const model = this._model(w);
+    const Again = model.Rating.Again;
+    const predictions = [];
+
+    for (const history of histories) {
+      let s = model.initStability(history[0].grade);
+      let d = model.initDifficulty(history[0].grade);
+      for (let i = 1; i < history.length; i++) {
+        const { t, grade } = history[i];
+        const r = model.retrievability(t, s);
+        predictions.push({ p: r, y: grade > Again ? 1 : 0 });
+
+        s = grade === Again
+          ? model.nextForgetStability(d, s, r)
+          : model.nextReviewStability(d, s, r, grade);
+        s = Math.min(Math.max(s, 0.01), model.params.maximumInterval);
+        d = model.nextDifficulty(d, grade);
+      }
+    }
+    return predictions;
+  },
+
+  logLoss(predictions) {
+    if (predictions.length === 0) return 0;
+    let sum = 0;
+    for (const { p, y } of predictions) {
+      const q = Math.min(Math.max(p, 1e-4), 1 - 1e-4);
+      sum -= y * Math.log(q) + (1 - y) * Math.log(1 - q);
+    }
+    return sum / predictions.length;
+  },
+
+  // Retention prediction error: predicted vs actual recall rate per bin of
+  // predicted retention, weighted by reviews per bin (0 = perfectly calibrated)
+  rmse(predictions, bins = 10) {
+    if (predictions.length === 0) return 0;
+    const groups = Array.from({ length: bins }, () => ({ n: 0, p: 0, y: 0 }));
+    for (const { p, y } of predictions) {
+      const g = groups[Math.min(bins - 1, Math.floor(p * bins))];
+      g.n++;
+      g.p += p;
+      g.y += y;
+    }
+    let sum = 0;
+    for (const g of groups) {
+      if (g.n > 0) sum += g.n * Math.pow(g.p / g.n - g.y / g.n, 2);
+    }
+    return Math.sqrt(sum / predictions.length);
+  },
+
+  evaluate(w, histories) {
+    const predictions = this.predict(w, histories);
+    return { logLoss: this.logLoss(predictions), rmse: this.rmse(predictions) };
+  },
+
+  // ============================================
+  // OPTIMIZATION
+  // ============================================
+
+  _toUnit(w) {
+    return w.map((v, i) => {
+      const [lo, hi] = this.BOUNDS[i];
+      return (Math.min(Math.max(v, lo), hi) - lo) / (hi - lo);
+    });
+  },
+
+  _fromUnit(x) {
+    return x.map((v, i) => {
+      const [lo, hi] = this.BOUNDS[i];
+      return lo + Math.min(Math.max(v, 0), 1) * (hi - lo);
+    });
+  },
+
+  // Fit weights to analytics responses. Returns the new weights with the
+  // prediction error before and after, so the caller can decide to apply them.
+  // options: {w: starting weights, onProgress({iteration, iterations, logLoss})}
+  optimize(responses, options = {}) {
+    const { iterations, learningRate, step, progressEvery } = { ...this.settings, ...options };
+    const histories = this.buildDataset(responses);
+    const initial = (options.w || this.srs.params.w).slice();
+    const loss = x => this.logLoss(this.predict(this._fromUnit(x), histories));
+
+    let x = this._toUnit(initial);
+    let current = loss(x);
+    let best = { x: x.slice(), loss: current };
+    const m = new Array(x.length).fill(0);
+    const v = new Array(x.length).fill(0);
+    const [beta1, beta2] = [0.9, 0.999];
+
+    for (let iteration = 1; iteration <= iterations; iteration++) {
+      // Forward-difference gradient
+      const grad = x.map((_, i) => {
+        const shifted = x.slice();
+        shifted[i] += step;
+        return (loss(shifted) - current) / step;
+      });
+
+      x = x.map((xi, i) => {
+        m[i] = beta1 * m[i] + (1 - beta1) * grad[i];
+        v[i] = beta2 * v[i] + (1 - beta2) * grad[i] * grad[i];
+        const mHat = m[i] / (1 - Math.pow(beta1, iteration));
+        const vHat = v[i] / (1 - Math.pow(beta2, iteration));
+        return Math.min(Math.max(xi - learningRate * mHat / (Math.sqrt(vHat) + 1e-8), 0), 1);
+      });
+
+      current = loss(x);
+      if (current < best.loss) best = { x: x.slice(), loss: current };
+
+      if (options.onProgress && (iteration % progressEvery === 0 || iteration === iterations)) {
+        options.onProgress({ iteration, iterations, logLoss: best.loss });
+      }
+    }
+
+    const w = this._fromUnit(best.x).map(v => Math.round(v * 10000) / 10000);
+    return {
+      w,
+      reviews: this.countReviews(histories),
+      before: this.evaluate(initial, histories),
+      after: this.evaluate(w, histories)
+    };
+  }
+};
+
+// Export
+if (typeof module !== 'undefined') {
+  module.exports = FSI_Optimizer;
+
+  // CLI: node docs/js/fsi-optimizer.js analytics.json [--force]
+  if (require.main === module) {
+    const fs = require('fs');
+    const file = process.argv[2];
+    if (!file) {
+      console.error('Usage: node fsi-optimizer.js <exported-analytics.json> [--force]');
+      process.exit(1);
+    }
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const responses = Array.isArray(data) ? data : data.responses || [];
+    const needed = FSI_Optimizer.srs.params.optimizerMinReviews;
+    const reviews = FSI_Optimizer.reviewCount(responses);
+    if (reviews < needed && !process.argv.includes('--force')) {
+      console.error(`Only ${reviews} reviews (need ${needed}). Use --force to optimize anyway.`);
+      process.exit(1);
+    }
+
+    const result = FSI_Optimizer.optimize(responses, {
+      onProgress: p => console.error(`  ${p.iteration}/${p.iterations}  log-loss ${p.logLoss.toFixed(4)}`)
+    });
+    const pct = v => `${(v * 100).toFixed(1)}%`;
+    console.error(`Reviews: ${result.reviews}`);
+    console.error(`Log-loss: ${result.before.logLoss.toFixed(4)} → ${result.after.logLoss.toFixed(4)}`);
+    console.error(`RMSE:     ${pct(result.before.rmse)} → ${pct(result.after.rmse)}`);
+    console.log(JSON.stringify({ w: result.w }));
+  }
+}
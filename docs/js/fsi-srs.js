@@ -1,963 +1,1640 @@
-/**
- * FSI Course 2.0 - SRS Mode with FSRS + NLP-aware spacing
- *
- * Features:
- * - FSRS algorithm for optimal review scheduling
- * - POS pattern grouping to avoid similar structure back-to-back
- * - Commonality-ranked initial ordering
- * - Error-weighted difficulty adjustment
- */
-
-const FSI_SRS = {
-  // FSRS Parameters (default, learned from user history)
-  params: {
-    w: [0.4, 0.6, 2.4, 5.8, 4.93, 0.94, 0.86, 0.01,
-        1.49, 0.14, 0.94, 2.18, 0.05, 0.34, 1.26, 0.29, 2.61],
-    requestRetention: 0.9,
-    maximumInterval: 36500,  // 100 years
-    // Anki-style learning steps (in minutes) for Again/failed cards
-    learningSteps: [1, 10],  // 1 min, 10 min, then graduate
-    relearningSteps: [1, 10],  // Same for lapsed cards
-    graduatingInterval: 1,  // Days after completing learning steps
-    easyInterval: 4,  // Days for Easy on new card
-
-    // Drill graduation params (pattern variations retire from SRS)
-    graduationConsecutive: 5,  // Correct answers in a row to graduate
-    graduationMinInterval: 16,  // Minimum interval (days) before graduation
-    reactivationLapseThreshold: 2  // Lapses on canonical to trigger sibling reactivation
-  },
-
-  // Drill metadata cache (loaded from drills.json)
-  drillMeta: {},  // {id: {pattern_group, is_canonical}}
-
-  // Rating enum
-  Rating: {
-    Again: 1,
-    Hard: 2,
-    Good: 3,
-    Easy: 4
-  },
-
-  // Card state enum
-  State: {
-    New: 0,
-    Learning: 1,
-    Review: 2,
-    Relearning: 3
-  },
-
-  // Storage keys
-  STORAGE_KEY: 'allonsy_fsi_srs',
-  ANALYTICS_KEY: 'allonsy_fsi_analytics',
-
-  // Chrome storage availability check
-  _hasChrome: typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local,
-
-  // In-memory state
-  cards: {},
-  sessionQueue: [],
-
-  // Analytics: tracks every response for pattern analysis
-  analytics: {
-    userId: null,
-    responses: [],  // All logged responses
-    promptStartTime: null  // Track when current prompt was shown
-  },
-  lastPattern: null,
-  sessionStats: { reviewed: 0, correct: 0, incorrect: 0 },
-
-  // ============================================
-  // INITIALIZATION
-  // ============================================
-
-  async init() {
-    await this.loadCards();
-    this.buildSessionQueue();
-    return this;
-  },
-
-  async loadCards() {
-    return new Promise((resolve) => {
-      if (this._hasChrome) {
-        chrome.storage.local.get([this.STORAGE_KEY], (result) => {
-          this.cards = result[this.STORAGE_KEY] || {};
-          resolve();
-        });
-      } else {
-        // Fallback to localStorage
-        try {
-          const saved = localStorage.getItem(this.STORAGE_KEY);
-          this.cards = saved ? JSON.parse(saved) : {};
-        } catch (e) {
-          this.cards = {};
-        }
-        resolve();
-      }
-    });
-  },
-
-  async saveCards() {
-    return new Promise((resolve, reject) => {
-      if (this._hasChrome) {
-        chrome.storage.local.set({ [this.STORAGE_KEY]: this.cards }, () => {
-          if (chrome.runtime.lastError) {
-            console.error('Chrome storage error:', chrome.runtime.lastError.message);
-            this._showStorageError('Failed to save progress (Chrome storage)');
-            reject(chrome.runtime.lastError);
-          } else {
-            resolve();
-          }
-        });
-      } else {
-        // Fallback to localStorage
-        try {
-          const data = JSON.stringify(this.cards);
-          localStorage.setItem(this.STORAGE_KEY, data);
-          resolve();
-        } catch (e) {
-          console.error('LocalStorage error:', e.message);
-          this._showStorageError('Storage full - progress may be lost');
-          reject(e);
-        }
-      }
-    }).catch(e => {
-      // Don't throw - log and continue so app doesn't break
-      console.warn('Storage save failed, continuing:', e.message);
-    });
-  },
-
-  // Show storage error to user (non-blocking)
-  _showStorageError(msg) {
-    const indicator = document.getElementById('saveIndicator');
-    if (indicator) {
-      indicator.innerHTML = '<span style="color:#dc3545;">Storage Error</span>';
-      indicator.classList.add('show');
-      setTimeout(() => indicator.classList.remove('show'), 5000);
-    }
-    // Also show a more prominent warning for critical failures
-    console.error('STORAGE ERROR:', msg);
-  },
-
-  // ============================================
-  // CARD CREATION
-  // ============================================
-
-  createCard(id, sentenceData) {
-    return {
-      id: id,
-      due: new Date().toISOString(),
-      stability: 0,
-      difficulty: 0,
-      elapsed_days: 0,
-      scheduled_days: 0,
-      reps: 0,
-      lapses: 0,
-      state: this.State.New,
-      last_review: null,
-      learning_step: 0,  // Current step in learningSteps array
-
-      // NLP metadata for smart spacing
-      pos_pattern: sentenceData.pos_pattern || '',
-      commonality: sentenceData.commonality || 0.5,
-      unit: sentenceData.unit || 1,
-
-      // Error tracking
-      error_history: [],  // [{type, timestamp}]
-
-      // Graduation fields (drill variations retire from SRS)
-      graduated: false,
-      graduation_date: null,
-      consecutive_correct: 0
-    };
-  },
-
-  // Initialize cards for a set of sentences
-  initializeCards(sentences) {
-    // Sort by commonality (most common first for initial learning)
-    const sorted = [...sentences].sort((a, b) => b.commonality - a.commonality);
-
-    for (const sentence of sorted) {
-      if (!this.cards[sentence.id]) {
-        this.cards[sentence.id] = this.createCard(sentence.id, sentence);
-      }
-    }
-
-    this.saveCards();
-  },
-
-  // ============================================
-  // FSRS CORE FUNCTIONS
-  // ============================================
-
-  // Forgetting curve: R(t, S) = (1 + t/(9*S))^(-1)
-  retrievability(elapsedDays, stability) {
-    if (stability <= 0) return 0;
-    return Math.pow(1 + elapsedDays / (9 * stability), -1);
-  },
-
-  // Next interval: I(r, S) = 9 * S * (1/r - 1)
-  nextInterval(stability, retention = this.params.requestRetention) {
-    if (stability <= 0) return 1;
-    return Math.round(9 * stability * (1 / retention - 1));
-  },
-
-  // Initial stability based on grade
-  initStability(grade) {
-    return this.params.w[grade - 1];
-  },
-
-  // Initial difficulty based on grade
-  initDifficulty(grade) {
-    const w = this.params.w;
-    return Math.max(1, Math.min(10, w[4] - (grade - 3) * w[5]));
-  },
-
-  // Stability after successful review
-  nextReviewStability(d, s, r, grade) {
-    const w = this.params.w;
-    const hardPenalty = grade === this.Rating.Hard ? w[15] : 1;
-    const easyBonus = grade === this.Rating.Easy ? w[16] : 1;
-
-    const sinc = Math.exp(w[8]) *
-                 (11 - d) *
-                 Math.pow(s, -w[9]) *
-                 (Math.exp(w[10] * (1 - r)) - 1) *
-                 hardPenalty *
-                 easyBonus;
-
-    return s * (sinc + 1);
-  },
-
-  // Stability after forgetting (lapse)
-  nextForgetStability(d, s, r) {
-    const w = this.params.w;
-    return w[11] *
-           Math.pow(d, -w[12]) *
-           (Math.pow(s + 1, w[13]) - 1) *
-           Math.exp(w[14] * (1 - r));
-  },
-
-  // Update difficulty
-  nextDifficulty(d, grade) {
-    const w = this.params.w;
-    const d0 = this.initDifficulty(3);  // Default difficulty
-    const newD = w[7] * d0 + (1 - w[7]) * (d - w[6] * (grade - 3));
-    return Math.max(1, Math.min(10, newD));
-  },
-
-  // ============================================
-  // REVIEW PROCESSING
-  // ============================================
-
-  processReview(cardId, grade, errorInfo = null) {
-    const card = this.cards[cardId];
-    if (!card) return null;
-
-    const now = new Date();
-    const lastReview = card.last_review ? new Date(card.last_review) : now;
-    const elapsedDays = (now - lastReview) / (1000 * 60 * 60 * 24);
-
-    // Track error if present
-    if (errorInfo) {
-      card.error_history.push({
-        type: errorInfo.type,
-        timestamp: now.toISOString()
-      });
-      // Keep last 10 errors only
-      if (card.error_history.length > 10) {
-        card.error_history.shift();
-      }
-    }
-
-    let intervalMinutes = 0;
-    let intervalDays = 0;
-
-    // Handle Learning/Relearning states (Anki-style short intervals)
-    if (card.state === this.State.New || card.state === this.State.Learning || card.state === this.State.Relearning) {
-      const steps = card.state === this.State.Relearning ? this.params.relearningSteps : this.params.learningSteps;
-
-      if (grade === this.Rating.Again) {
-        // Reset to first step
-        card.learning_step = 0;
-        card.state = card.state === this.State.New ? this.State.Learning : this.State.Relearning;
-        intervalMinutes = steps[0];
-      } else if (grade === this.Rating.Easy) {
-        // Graduate immediately with easy interval
-        card.state = this.State.Review;
-        card.learning_step = 0;
-        card.stability = this.initStability(grade);
-        card.difficulty = this.initDifficulty(grade);
-        intervalDays = this.params.easyInterval;
-      } else {
-        // Good or Hard: advance to next step
-        card.learning_step = (card.learning_step || 0) + 1;
-
-        if (card.learning_step >= steps.length) {
-          // Graduate to review
-          card.state = this.State.Review;
-          card.learning_step = 0;
-          card.stability = this.initStability(grade);
-          card.difficulty = this.initDifficulty(grade);
-          intervalDays = grade === this.Rating.Hard ? 1 : this.params.graduatingInterval;
-        } else {
-          // Next learning step
-          card.state = card.state === this.State.New ? this.State.Learning : card.state;
-          intervalMinutes = steps[card.learning_step];
-        }
-      }
-    }
-    // Handle Review state (FSRS algorithm)
-    else {
-      const r = this.retrievability(elapsedDays, card.stability);
-
-      if (grade === this.Rating.Again) {
-        // Lapse - go to relearning with short steps
-        card.stability = this.nextForgetStability(card.difficulty, card.stability, r);
-        card.lapses++;
-        card.state = this.State.Relearning;
-        card.learning_step = 0;
-        intervalMinutes = this.params.relearningSteps[0];
-      } else {
-        // Success - use FSRS
-        card.stability = this.nextReviewStability(card.difficulty, card.stability, r, grade);
-        card.difficulty = this.nextDifficulty(card.difficulty, grade);
-        intervalDays = Math.min(this.nextInterval(card.stability), this.params.maximumInterval);
-      }
-    }
-
-    // Set next due date
-    const dueDate = new Date(now);
-    if (intervalMinutes > 0) {
-      dueDate.setMinutes(dueDate.getMinutes() + intervalMinutes);
-      card.scheduled_days = intervalMinutes / (60 * 24);  // Convert to days for display
-    } else {
-      dueDate.setDate(dueDate.getDate() + intervalDays);
-      card.scheduled_days = intervalDays;
-    }
-
-    card.elapsed_days = elapsedDays;
-    card.reps++;
-    card.last_review = now.toISOString();
-    card.due = dueDate.toISOString();
-
-    // Update last pattern for spacing
-    this.lastPattern = card.pos_pattern;
-
-    // Update stats
-    this.sessionStats.reviewed++;
-    if (grade >= this.Rating.Good) {
-      this.sessionStats.correct++;
-      // Track consecutive correct for graduation
-      card.consecutive_correct = (card.consecutive_correct || 0) + 1;
-    } else {
-      this.sessionStats.incorrect++;
-      // Reset streak on incorrect
-      card.consecutive_correct = 0;
-    }
-
-    // Check for drill graduation (non-canonical variations retire from SRS)
-    this._checkGraduation(card, grade);
-
-    // Check for reactivation (canonical lapse triggers sibling return)
-    if (grade === this.Rating.Again) {
-      this._checkReactivation(cardId);
-    }
-
-    // Save
-    this.saveCards();
-
-    const interval = intervalMinutes > 0 ? intervalMinutes / (60 * 24) : intervalDays;
-    return {
-      card: card,
-      interval: interval,
-      intervalDisplay: intervalMinutes > 0 ? `${intervalMinutes}m` : `${intervalDays}d`,
-      nextDue: card.due
-    };
-  },
-
-  // ============================================
-  // QUEUE MANAGEMENT (NLP-aware)
-  // ============================================
-
-  getDueCards() {
-    const now = new Date();
-    const due = [];
-
-    for (const [id, card] of Object.entries(this.cards)) {
-      // Skip graduated cards (pattern variations that have retired)
-      if (card.graduated) continue;
-
-      const dueDate = new Date(card.due);
-      if (dueDate <= now || card.state === this.State.New) {
-        due.push(card);
-      }
-    }
-
-    return due;
-  },
-
-  buildSessionQueue(maxCards = 20) {
-    const due = this.getDueCards();
-
-    // Sort by: New cards first (by commonality), then review cards by due date
-    due.sort((a, b) => {
-      // New cards first
-      if (a.state === this.State.New && b.state !== this.State.New) return -1;
-      if (b.state === this.State.New && a.state !== this.State.New) return 1;
-
-      // Among new cards, sort by commonality (most common first)
-      if (a.state === this.State.New && b.state === this.State.New) {
-        return b.commonality - a.commonality;
-      }
-
-      // Among review cards, sort by due date (oldest first)
-      return new Date(a.due) - new Date(b.due);
-    });
-
-    this.sessionQueue = due.slice(0, maxCards);
-    return this.sessionQueue;
-  },
-
-  getNextCard() {
-    if (this.sessionQueue.length === 0) {
-      this.buildSessionQueue();
-    }
-
-    if (this.sessionQueue.length === 0) {
-      return null;  // No cards due
-    }
-
-    // NLP-aware selection: avoid same POS pattern twice in a row
-    if (this.lastPattern) {
-      // Find first card with different pattern
-      const idx = this.sessionQueue.findIndex(c => c.pos_pattern !== this.lastPattern);
-      if (idx > 0) {
-        // Move that card to front
-        const [card] = this.sessionQueue.splice(idx, 1);
-        this.sessionQueue.unshift(card);
-      }
-    }
-
-    // Pop first card
-    return this.sessionQueue.shift();
-  },
-
-  // ============================================
-  // ERROR-TO-RATING CONVERSION
-  // ============================================
-
-  errorToRating(errors) {
-    if (!errors || errors.length === 0) return this.Rating.Good;
-
-    const primary = errors[0];
-    const errorCount = errors.length;
-
-    // Multiple errors = Again
-    if (errorCount >= 3) return this.Rating.Again;
-
-    // Based on error type
-    switch (primary.type) {
-      case 'spelling':
-        // Minor spelling = Hard, accent error = Good
-        return primary.subtype === 'accent' ? this.Rating.Hard : this.Rating.Hard;
-
-      case 'grammar':
-        // Grammar errors are more serious
-        return this.Rating.Again;
-
-      case 'word_order':
-        // Word order = important to fix
-        return this.Rating.Again;
-
-      case 'confusable':
-        // Confusables are tricky but not total failure
-        return this.Rating.Hard;
-
-      default:
-        return errorCount > 1 ? this.Rating.Again : this.Rating.Hard;
-    }
-  },
-
-  // ============================================
-  // STATISTICS
-  // ============================================
-
-  getStats() {
-    const cards = Object.values(this.cards);
-    const now = new Date();
-
-    const stats = {
-      total: cards.length,
-      new: 0,
-      learning: 0,
-      review: 0,
-      relearning: 0,
-      due_today: 0,
-      mastered: 0,  // stability > 21 days
-
-      avg_stability: 0,
-      avg_difficulty: 0,
-      total_reviews: 0,
-      total_lapses: 0,
-
-      session: this.sessionStats
-    };
-
-    let totalStability = 0;
-    let totalDifficulty = 0;
-    let reviewedCount = 0;
-
-    for (const card of cards) {
-      // State counts
-      switch (card.state) {
-        case this.State.New: stats.new++; break;
-        case this.State.Learning: stats.learning++; break;
-        case this.State.Review: stats.review++; break;
-        case this.State.Relearning: stats.relearning++; break;
-      }
-
-      // Due today
-      if (new Date(card.due) <= now) {
-        stats.due_today++;
-      }
-
-      // Mastered (stability > 21 days)
-      if (card.stability > 21) {
-        stats.mastered++;
-      }
-
-      // Averages
-      if (card.reps > 0) {
-        totalStability += card.stability;
-        totalDifficulty += card.difficulty;
-        reviewedCount++;
-      }
-
-      stats.total_reviews += card.reps;
-      stats.total_lapses += card.lapses;
-    }
-
-    if (reviewedCount > 0) {
-      stats.avg_stability = totalStability / reviewedCount;
-      stats.avg_difficulty = totalDifficulty / reviewedCount;
-    }
-
-    return stats;
-  },
-
-  // ============================================
-  // PATTERN ANALYSIS
-  // ============================================
-
-  // Group cards by POS pattern for analysis
-  getPatternGroups() {
-    const groups = {};
-
-    for (const card of Object.values(this.cards)) {
-      const pattern = card.pos_pattern || 'unknown';
-      if (!groups[pattern]) {
-        groups[pattern] = [];
-      }
-      groups[pattern].push(card);
-    }
-
-    return groups;
-  },
-
-  // Get cards with most errors
-  getProblematicCards(limit = 10) {
-    const cards = Object.values(this.cards);
-
-    return cards
-      .filter(c => c.error_history.length > 0)
-      .sort((a, b) => b.error_history.length - a.error_history.length)
-      .slice(0, limit);
-  },
-
-  // Get error type distribution
-  getErrorDistribution() {
-    const dist = {};
-
-    for (const card of Object.values(this.cards)) {
-      for (const error of card.error_history) {
-        dist[error.type] = (dist[error.type] || 0) + 1;
-      }
-    }
-
-    return dist;
-  },
-
-  // ============================================
-  // RESET / DEBUG
-  // ============================================
-
-  resetCard(cardId) {
-    if (this.cards[cardId]) {
-      const oldData = this.cards[cardId];
-      this.cards[cardId] = this.createCard(cardId, {
-        pos_pattern: oldData.pos_pattern,
-        commonality: oldData.commonality,
-        unit: oldData.unit
-      });
-      this.saveCards();
-    }
-  },
-
-  resetAllCards() {
-    for (const cardId of Object.keys(this.cards)) {
-      this.resetCard(cardId);
-    }
-  },
-
-  resetSessionStats() {
-    this.sessionStats = { reviewed: 0, correct: 0, incorrect: 0 };
-  },
-
-  // ============================================
-  // DRILL GRADUATION (pattern variations retire from SRS)
-  // ============================================
-
-  // Load drill metadata (pattern_group, is_canonical) from drills data
-  loadDrillMeta(drillsData) {
-    if (!drillsData?.drills) return;
-    for (const drill of drillsData.drills) {
-      this.drillMeta[drill.id] = {
-        pattern_group: drill.pattern_group || null,
-        is_canonical: drill.is_canonical !== false  // Default true if not specified
-      };
-    }
-  },
-
-  // Check if card should graduate (called after correct answer)
-  // If canonical meets criteria, swap with a sibling (pattern stays, card rotates)
-  _checkGraduation(card, grade) {
-    if (grade < this.Rating.Good) return;  // Only on correct answers
-    if (card.graduated) return;  // Already graduated
-
-    const meta = this.drillMeta[card.id];
-    if (!meta) return;  // No metadata loaded
-
-    const consecutive = card.consecutive_correct || 0;
-    const interval = card.scheduled_days || 0;
-
-    // Check graduation conditions
-    if (consecutive >= this.params.graduationConsecutive &&
-        interval >= this.params.graduationMinInterval) {
-
-      const siblings = this._getSiblingCards(meta.pattern_group);
-      const graduatedSiblings = siblings.filter(s => s.graduated && s.id !== card.id);
-      const activeSiblings = siblings.filter(s => !s.graduated && s.id !== card.id);
-
-      if (meta.is_canonical) {
-        // CANONICAL ROTATION: swap with a graduated sibling
-        if (graduatedSiblings.length > 0) {
-          // Pick random graduated sibling to become new canonical
-          const newCanonical = this._shuffle(graduatedSiblings)[0];
-
-          // Swap: old canonical graduates, sibling becomes canonical
-          card.graduated = true;
-          card.graduation_date = new Date().toISOString();
-          this.drillMeta[card.id].is_canonical = false;
-
-          newCanonical.graduated = false;
-          newCanonical.consecutive_correct = 0;
-          newCanonical.state = this.State.Review;
-          newCanonical.due = new Date().toISOString();
-          this.drillMeta[newCanonical.id].is_canonical = true;
-
-          console.log(`Canonical swap: ${card.id} → ${newCanonical.id} in ${meta.pattern_group}`);
-        }
-        // If no graduated siblings, canonical stays (pattern needs representation)
-      } else {
-        // Non-canonical: normal graduation if siblings remain
-        if (activeSiblings.length > 0) {
-          card.graduated = true;
-          card.graduation_date = new Date().toISOString();
-          console.log(`Graduated: ${card.id} from pattern ${meta.pattern_group}`);
-        }
-      }
-    }
-  },
-
-  // Check if canonical lapse should reactivate siblings
-  _checkReactivation(cardId) {
-    const meta = this.drillMeta[cardId];
-    if (!meta?.is_canonical) return;  // Only for canonical cards
-    if (!meta.pattern_group) return;
-
-    const card = this.cards[cardId];
-    if (!card) return;
-
-    // Count recent lapses (last 30 days)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-    let recentLapses = 0;
-    for (const err of (card.error_history || [])) {
-      if (new Date(err.timestamp) > thirtyDaysAgo) {
-        recentLapses++;
-      }
-    }
-
-    if (recentLapses >= this.params.reactivationLapseThreshold) {
-      // Reactivate some graduated siblings
-      const graduated = this._getGraduatedSiblings(meta.pattern_group);
-      const toReactivate = this._shuffle(graduated).slice(0, 3);
-
-      for (const sibling of toReactivate) {
-        sibling.graduated = false;
-        sibling.state = this.State.Relearning;
-        sibling.consecutive_correct = 0;
-        sibling.learning_step = 0;
-        sibling.due = new Date().toISOString();
-        console.log(`Reactivated: ${sibling.id} due to canonical lapse on ${cardId}`);
-      }
-    }
-  },
-
-  // Get all cards in the same pattern group
-  _getSiblingCards(patternGroup) {
-    if (!patternGroup) return [];
-    const siblings = [];
-    for (const [id, card] of Object.entries(this.cards)) {
-      const meta = this.drillMeta[id];
-      if (meta?.pattern_group === patternGroup) {
-        siblings.push(card);
-      }
-    }
-    return siblings;
-  },
-
-  // Get graduated siblings in a pattern group
-  _getGraduatedSiblings(patternGroup) {
-    return this._getSiblingCards(patternGroup).filter(c => c.graduated);
-  },
-
-  // Fisher-Yates shuffle
-  _shuffle(arr) {
-    const a = [...arr];
-    for (let i = a.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [a[i], a[j]] = [a[j], a[i]];
-    }
-    return a;
-  },
-
-  // Get graduation statistics
-  getGraduationStats() {
-    const cards = Object.values(this.cards);
-    const graduated = cards.filter(c => c.graduated);
-    const patterns = new Set();
-
-    for (const [id, meta] of Object.entries(this.drillMeta)) {
-      if (meta.pattern_group) patterns.add(meta.pattern_group);
-    }
-
-    return {
-      total: cards.length,
-      graduated: graduated.length,
-      active: cards.length - graduated.length,
-      patterns: patterns.size,
-      percentGraduated: cards.length ? ((graduated.length / cards.length) * 100).toFixed(1) : 0
-    };
-  },
-
-  // ============================================
-  // ANALYTICS - Response Tracking
-  // ============================================
-
-  async loadAnalytics() {
-    return new Promise((resolve) => {
-      if (this._hasChrome) {
-        chrome.storage.local.get([this.ANALYTICS_KEY], (result) => {
-          const saved = result[this.ANALYTICS_KEY] || {};
-          this.analytics.userId = saved.userId || null;
-          this.analytics.responses = saved.responses || [];
-          resolve();
-        });
-      } else {
-        try {
-          const saved = localStorage.getItem(this.ANALYTICS_KEY);
-          if (saved) {
-            const parsed = JSON.parse(saved);
-            this.analytics.userId = parsed.userId || null;
-            this.analytics.responses = parsed.responses || [];
-          }
-        } catch (e) {}
-        resolve();
-      }
-    });
-  },
-
-  async saveAnalytics() {
-    const data = {
-      userId: this.analytics.userId,
-      responses: this.analytics.responses,
-      lastUpdated: new Date().toISOString()
-    };
-
-    return new Promise((resolve) => {
-      if (this._hasChrome) {
-        chrome.storage.local.set({ [this.ANALYTICS_KEY]: data }, resolve);
-      } else {
-        try {
-          localStorage.setItem(this.ANALYTICS_KEY, JSON.stringify(data));
-        } catch (e) {}
-        resolve();
-      }
-    });
-  },
-
-  // Call when showing a new prompt to start timing
-  startPromptTimer() {
-    this.analytics.promptStartTime = Date.now();
-  },
-
-  // Log a response with full details for analysis
-  logResponse(data) {
-    const now = Date.now();
-    const responseTime = this.analytics.promptStartTime
-      ? now - this.analytics.promptStartTime
-      : null;
-
-    const response = {
-      // Timing
-      timestamp: new Date().toISOString(),
-      responseTimeMs: responseTime,
-
-      // Card info
-      cardId: data.cardId,
-      unit: data.unit,
-      drillType: data.drillType,
-
-      // Prompt & answer
-      promptEn: data.promptEn,
-      expectedFr: data.expectedFr,
-      userAnswer: data.userAnswer,
-
-      // Result
-      correct: data.correct,
-      grade: data.grade,  // Again/Hard/Good/Easy
-
-      // Error details (if incorrect)
-      errors: data.errors || [],  // [{type, detail, position}]
-
-      // Context
-      mode: data.mode || 'srs',  // 'srs' or 'linear'
-      register: data.register || 'formal',  // 'formal' or 'informal'
-
-      // User state
-      userId: this.analytics.userId,
-      cardState: data.cardState,  // New/Learning/Review/Relearning
-      cardReps: data.cardReps,
-      cardLapses: data.cardLapses
-    };
-
-    this.analytics.responses.push(response);
-
-    // Keep last 10000 responses to prevent storage overflow
-    if (this.analytics.responses.length > 10000) {
-      this.analytics.responses = this.analytics.responses.slice(-10000);
-    }
-
-    this.saveAnalytics();
-
-    // Auto-sync to cloud if configured
-    if (typeof FSI_Auth !== 'undefined' && FSI_Auth.isConfigured()) {
-      FSI_Auth.saveResponse(response);
-    }
-
-    return response;
-  },
-
-  // Set user ID (from auth)
-  setUserId(userId) {
-    this.analytics.userId = userId;
-    this.saveAnalytics();
-  },
-
-  // Get analytics summary for patterns
-  getAnalyticsSummary() {
-    const responses = this.analytics.responses;
-    if (responses.length === 0) return null;
-
-    // Error type frequency
-    const errorTypes = {};
-    // Average response time by correctness
-    let correctTimes = [];
-    let incorrectTimes = [];
-    // Errors by unit
-    const errorsByUnit = {};
-    // Common mistakes (specific cards)
-    const mistakesByCard = {};
-
-    for (const r of responses) {
-      // Response times
-      if (r.responseTimeMs) {
-        if (r.correct) {
-          correctTimes.push(r.responseTimeMs);
-        } else {
-          incorrectTimes.push(r.responseTimeMs);
-        }
-      }
-
-      // Error types
-      for (const err of (r.errors || [])) {
-        errorTypes[err.type] = (errorTypes[err.type] || 0) + 1;
-      }
-
-      // Errors by unit
-      if (!r.correct && r.unit) {
-        errorsByUnit[r.unit] = (errorsByUnit[r.unit] || 0) + 1;
-      }
-
-      // Mistakes by card
-      if (!r.correct && r.cardId) {
-        if (!mistakesByCard[r.cardId]) {
-          mistakesByCard[r.cardId] = { count: 0, errors: [], lastAnswer: '' };
-        }
-        mistakesByCard[r.cardId].count++;
-        mistakesByCard[r.cardId].errors.push(...(r.errors || []));
-        mistakesByCard[r.cardId].lastAnswer = r.userAnswer;
-      }
-    }
-
-    const avg = arr => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
-
-    return {
-      totalResponses: responses.length,
-      correctCount: responses.filter(r => r.correct).length,
-      incorrectCount: responses.filter(r => !r.correct).length,
-      accuracy: responses.length ? (responses.filter(r => r.correct).length / responses.length * 100).toFixed(1) : 0,
-      avgCorrectTimeMs: Math.round(avg(correctTimes)),
-      avgIncorrectTimeMs: Math.round(avg(incorrectTimes)),
-      errorTypes,
-      errorsByUnit,
-      topMistakes: Object.entries(mistakesByCard)
-        .sort((a, b) => b[1].count - a[1].count)
-        .slice(0, 20)
-        .map(([id, data]) => ({ cardId: id, ...data }))
-    };
-  },
-
-  // Export analytics as JSON for external analysis
-  exportAnalytics() {
-    return {
-      userId: this.analytics.userId,
-      exportedAt: new Date().toISOString(),
-      summary: this.getAnalyticsSummary(),
-      responses: this.analytics.responses
-    };
-  },
-
-  // Clear analytics data
-  clearAnalytics() {
-    this.analytics.responses = [];
-    this.saveAnalytics();
-  }
-};
-
-// Export
-if (typeof module !== 'undefined') {
-  module.exports = FSI_SRS;
-}
+/**
+ * FSI Course 2.0 - SRS Mode with FSRS + NLP-aware spacing
+ *
+ * Features:
+ * - FSRS algorithm for optimal review scheduling
+ * - POS pattern grouping to avoid similar structure back-to-back
+ * - Commonality-ranked initial ordering
+ * - Error-weighted difficulty adjustment
+ */
+
+const FSI_SRS = {
+  // FSRS Parameters (default, learned from user history)
+  params: {
+    w: [0.4, 0.6, 2.4, 5.8, 4.93, 0.94, 0.86, 0.01,
+        1.49, 0.14, 0.94, 2.18, 0.05, 0.34, 1.26, 0.29, 2.61],
+    requestRetention: 0.9,
+    maximumInterval: 36500,  // 100 years
+    // Anki-style learning steps (in minutes) for Again/failed cards
+    learningSteps: [1, 10],  // 1 min, 10 min, then graduate
+    relearningSteps: [1, 10],  // Same for lapsed cards
+    graduatingInterval: 1,  // Days after completing learning steps
+    easyInterval: 4,  // Days for Easy on new card
+
+    // Daily limits (deck options, see setOptions)
+    newCardsPerDay: 20,  // New cards introduced per day
+    maxReviewsPerDay: 200,  // Review cards per day (learning steps don't count)
+    newCardRatio: 0.25,  // Share of a session's queue given to new cards
+    dayStartHour: 4,  // Next day starts at 4:00, so late sessions count as today
+
+    // Card variants studied (see cardId)
+    activeDirections: ['en-de', 'de-en'],
+    activeRegisters: ['formal', 'informal'],
+
+    // Drill graduation params (pattern variations retire from SRS)
+    graduationConsecutive: 5,  // Correct answers in a row to graduate
+    graduationMinInterval: 16,  // Minimum interval (days) before graduation
+    reactivationLapseThreshold: 2,  // Lapses on canonical to trigger sibling reactivation
+
+    // Leeches: cards that keep lapsing (tagged again every half threshold after)
+    leechThreshold: 8,  // Lapses before a card is tagged as a leech (0 = never)
+    leechAction: 'suspend',  // 'suspend' or 'remediate' (see getRemediationCards)
+    burySiblings: true,  // A reviewed card's other variants and pattern siblings wait until tomorrow
+
+    // Response-time grading (automaticity): ms per character of the expected
+    // answer, compared with the learner's rolling median on correct answers
+    timingFastRatio: 0.6,  // At or below 60% of the median pace: Good → Easy
+    timingSlowRatio: 1.8,  // At or above 180% of the median pace: Good → Hard
+    timingWindow: 50,  // Recent correct responses in the rolling median
+    timingMinSamples: 10,  // Below this, use timingBaseMsPerChar as the median
+    timingBaseMsPerChar: 300,  // Default pace for a new learner
+    timingMaxMs: 60000,  // Longer responses (learner away) don't affect grading
+
+    // Weight optimizer (fsi-optimizer.js) is offered from this many reviews
+    optimizerMinReviews: 500,
+    optimized: null  // {w, optimizedAt, reviews, rmse} once weights were fitted
+  },
+
+  // Drill metadata cache (loaded from drills.json)
+  drillMeta: {},  // {id: {pattern_group, is_canonical}}
+
+  // Rating enum
+  Rating: {
+    Again: 1,
+    Hard: 2,
+    Good: 3,
+    Easy: 4
+  },
+
+  // Fallback when FSI_Error isn't loaded; FSI_Error.SOFT_TYPES is the source
+  SOFT_ERROR_TYPES: ['accent', 'orthography', 'eszett', 'capitalization'],
+
+  // Card state enum
+  State: {
+    New: 0,
+    Learning: 1,
+    Review: 2,
+    Relearning: 3
+  },
+
+  // Storage keys (cards, review logs and responses are FSI_Storage collections)
+  PARAMS_KEY: 'allonsy_fsi_params',
+  DAILY_KEY: 'allonsy_fsi_daily',
+  OPTIONS_KEY: 'allonsy_fsi_options',
+
+  // params the learner can change from the deck options
+  DECK_OPTIONS: ['newCardsPerDay', 'maxReviewsPerDay', 'newCardRatio', 'dayStartHour',
+    'activeDirections', 'activeRegisters', 'leechThreshold', 'leechAction', 'burySiblings'],
+  LEECH_ACTIONS: ['suspend', 'remediate'],
+
+  UNDO_LIMIT: 20,  // Reviews that can be undone
+
+  // Card variants: each drill is a card per direction, and per register
+  // when its formal and informal forms differ
+  DIRECTIONS: ['en-de', 'de-en'],  // Production, recognition
+  REGISTERS: ['formal', 'informal'],
+
+  // FSI_Storage: browser global, or required under Node
+  get storage() {
+    if (typeof FSI_Storage !== 'undefined') return FSI_Storage;
+    return typeof require !== 'undefined' ? require('./fsi-storage.js') : null;
+  },
+
+  // Error classifier: browser global, or required under Node
+  get errors() {
+    if (typeof FSI_Error !== 'undefined') return FSI_Error;
+    return typeof require !== 'undefined' ? require('./fsi-error.js') : null;
+  },
+
+  // In-memory state
+  cards: {},
+  removedCards: new Set(),  // Ids dropped from cards, to delete from storage
+  revlog: {},  // {cardId: [{review, rating, state_before, state_after, ...}]}
+  sessionQueue: [],
+  undoStack: [],  // Snapshots before each review, latest last (see undo)
+
+  // Analytics: tracks every response for pattern analysis
+  analytics: {
+    userId: null,
+    responses: [],  // All logged responses
+    promptStartTime: null  // Track when current prompt was shown
+  },
+  lastPattern: null,
+  lastCategory: null,
+  sessionStats: { reviewed: 0, correct: 0, incorrect: 0 },
+  daily: { day: null, newCards: 0, reviews: 0 },  // Counts for the current study day
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  async init() {
+    await this.storage.ready();
+    await this.loadCards();
+    await this.loadRevlog();
+    await this.loadAnalytics();
+    await this.loadParams();
+    await this.loadOptions();
+    this.daily = { ...this.daily, ...(await this.storage.get(this.DAILY_KEY)) };
+    this.buildSessionQueue();
+    this.storage.subscribe(message => this._onRemoteChange(message));
+    return this;
+  },
+
+  async loadCards() {
+    this.cards = await this.storage.getAll('cards');
+  },
+
+  // Write the given cards (one record each), or all of them. Writing all
+  // merges per card: a card reviewed later in another tab is kept (and
+  // taken over here), not overwritten with this tab's older copy. Cards
+  // dropped from the deck are deleted. options.revert: an undo (for sync).
+  async saveCards(cards = null, options = {}) {
+    if (!cards) {
+      const saved = await this.storage.put('cards', this.cards, (stored, card) => this._newerCard(stored, card));
+      this._adoptCards(Object.fromEntries(Object.entries(saved).filter(([id, card]) => card !== this.cards[id])));
+      await Promise.all([...this.removedCards].map(id => this.storage.delete('cards', id)));
+      return;
+    }
+    const now = new Date().toISOString();
+    for (const card of cards) card.updatedAt = now;
+    // Single changes sync; whole-deck writes (new cards, rescheduling) stay local
+    if (typeof FSI_Auth !== 'undefined' && FSI_Auth.isConfigured()) {
+      FSI_Auth.saveCards(cards, options);
+    }
+    return this.storage.put('cards', Object.fromEntries(cards.map(card => [card.id, card])));
+  },
+
+  // The later review wins; for the same review, the later change (bury,
+  // suspend, flag, recorded in updatedAt)
+  _newerCard(stored, card) {
+    const reviewed = c => c?.last_review ? new Date(c.last_review).getTime() : -Infinity;
+    if (reviewed(stored) !== reviewed(card)) return reviewed(stored) > reviewed(card) ? stored : card;
+    return (stored?.updatedAt || '') > (card.updatedAt || '') ? stored : card;
+  },
+
+  // ============================================
+  // OTHER TABS
+  // ============================================
+
+  // Another tab of this profile saved something: bring this tab's copy up to date
+  async _onRemoteChange(message) {
+    const { type, name, key } = message;
+    if (name === 'cards') {
+      if (type === 'put') this._adoptCards(message.records);
+      if (type === 'delete') this._dropCard(message.id);
+      if (type === 'putAll') this._adoptCards(await this.storage.getAll('cards'));
+    } else if (name === 'revlog') {
+      if (type === 'put') Object.assign(this.revlog, message.records);
+      if (type === 'delete') delete this.revlog[message.id];
+      if (type === 'putAll') this.revlog = await this.storage.getAll('revlog');
+    } else if (name === 'responses') {
+      if (type === 'append') this.analytics.responses.push(message.record);
+      if (type === 'putAll') this.analytics.responses = await this.storage.getAll('responses');
+    } else if (key === this.DAILY_KEY && message.value) {
+      this.daily = message.value;
+    } else if (key === this.OPTIONS_KEY) {
+      await this.loadOptions();
+    } else if (key === this.PARAMS_KEY) {
+      await this.loadParams();
+    }
+  },
+
+  // Take over saved versions of cards ({id: card}), in place: the session
+  // queue holds the card objects. Cards reviewed, buried or suspended
+  // elsewhere leave the queue, and their reviews can't be undone here.
+  _adoptCards(records) {
+    const changed = new Set();
+    for (const [id, card] of Object.entries(records)) {
+      if (this.removedCards.has(id)) continue;
+      const local = this.cards[id];
+      if (!local) {
+        this.cards[id] = card;
+        continue;
+      }
+      if (local.last_review !== card.last_review) changed.add(id);
+      for (const field of Object.keys(local)) {
+        if (!(field in card)) delete local[field];
+      }
+      Object.assign(local, card);
+    }
+
+    const now = new Date();
+    const gone = c => changed.has(c.id) || c.suspended || (c.buried_until && new Date(c.buried_until) > now);
+    this.sessionQueue = this.sessionQueue.filter(c => !(c.id in records) || !gone(c));
+    if (changed.size > 0) this.undoStack = this.undoStack.filter(entry => !changed.has(entry.cardId));
+  },
+
+  // Remove a card from the deck (saveCards deletes it from storage)
+  _dropCard(id) {
+    delete this.cards[id];
+    this.removedCards.add(id);
+    this.sessionQueue = this.sessionQueue.filter(c => c.id !== id);
+    this.undoStack = this.undoStack.filter(entry => entry.cardId !== id);
+  },
+
+  // ============================================
+  // LEARNED PARAMETERS
+  // ============================================
+
+  // Weights fitted by FSI_Optimizer replace the defaults in params.w
+  async loadParams() {
+    const saved = await this.storage.get(this.PARAMS_KEY);
+    if (saved && Array.isArray(saved.w) && saved.w.length === this.params.w.length) {
+      this.params.w = saved.w;
+      this.params.optimized = saved;
+    }
+  },
+
+  // Apply optimized weights. report: {reviews, before, after} from FSI_Optimizer
+  async setWeights(w, report = {}) {
+    this.params.w = w.slice();
+    this.params.optimized = {
+      w: this.params.w,
+      optimizedAt: new Date().toISOString(),
+      reviews: report.reviews || 0,
+      rmse: report.after ? report.after.rmse : null
+    };
+    await this.storage.set(this.PARAMS_KEY, this.params.optimized);
+  },
+
+  // ============================================
+  // DECK OPTIONS & DAILY LIMITS
+  // ============================================
+
+  async loadOptions() {
+    const saved = await this.storage.get(this.OPTIONS_KEY);
+    if (saved) this._applyOptions(saved);
+  },
+
+  // Change deck options ({newCardsPerDay: 10, dayStartHour: 3, ...}) and persist them
+  async setOptions(options) {
+    this._applyOptions(options);
+    const saved = {};
+    for (const key of this.DECK_OPTIONS) saved[key] = this.params[key];
+    await this.storage.set(this.OPTIONS_KEY, saved);
+  },
+
+  _applyOptions(options) {
+    for (const key of this.DECK_OPTIONS) {
+      const value = options[key];
+      if (Array.isArray(this.params[key])) {
+        if (Array.isArray(value) && value.length > 0) this.params[key] = value.slice();
+      } else if (typeof value === 'number' && !isNaN(value)) {
+        this.params[key] = value;
+      } else if (typeof value === 'boolean' && typeof this.params[key] === 'boolean') {
+        this.params[key] = value;
+      } else if (key === 'leechAction' && this.LEECH_ACTIONS.includes(value)) {
+        this.params[key] = value;
+      }
+    }
+  },
+
+  // Study day a moment belongs to: 'YYYY-MM-DD', changing at dayStartHour
+  dayKey(date = new Date()) {
+    const d = new Date(date);
+    d.setHours(d.getHours() - this.params.dayStartHour);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  },
+
+  // Today's counter, reset when a new study day starts
+  getDailyCounts() {
+    const today = this.dayKey();
+    if (this.daily.day !== today) {
+      this.daily = { day: today, newCards: 0, reviews: 0 };
+    }
+    return this.daily;
+  },
+
+  // New cards and reviews still allowed today
+  getDailyLimits() {
+    const daily = this.getDailyCounts();
+    return {
+      newLeft: Math.max(0, this.params.newCardsPerDay - daily.newCards),
+      reviewsLeft: Math.max(0, this.params.maxReviewsPerDay - daily.reviews)
+    };
+  },
+
+  // Start of the next study day (dayStartHour tomorrow), as an ISO string
+  nextDayStart(date = new Date()) {
+    const d = new Date(date);
+    d.setHours(d.getHours() - this.params.dayStartHour);
+    d.setDate(d.getDate() + 1);
+    d.setHours(this.params.dayStartHour, 0, 0, 0);
+    return d.toISOString();
+  },
+
+  // Count a review toward today's limits (by the card's state before it)
+  _countDaily(stateBefore) {
+    const daily = this.getDailyCounts();
+    if (stateBefore === this.State.New) daily.newCards++;
+    else if (stateBefore === this.State.Review) daily.reviews++;
+    this.storage.set(this.DAILY_KEY, daily);
+  },
+
+  // ============================================
+  // CARD CREATION
+  // ============================================
+
+  createCard(id, sentenceData) {
+    return {
+      id: id,
+      due: new Date().toISOString(),
+      stability: 0,
+      difficulty: 0,
+      elapsed_days: 0,
+      scheduled_days: 0,
+      reps: 0,
+      lapses: 0,
+      state: this.State.New,
+      last_review: null,
+      learning_step: 0,  // Current step in learningSteps array
+
+      // Variant: which drill, in which direction and register (null = both)
+      drill_id: sentenceData.drill_id || id,
+      direction: sentenceData.direction || 'en-de',
+      register: sentenceData.register || null,
+
+      // NLP metadata for smart spacing
+      pos_pattern: sentenceData.pos_pattern || '',
+      category: sentenceData.category || '',
+      commonality: sentenceData.commonality || 0.5,
+      unit: sentenceData.unit || 1,
+
+      // Error tracking
+      error_history: [],  // [{type, timestamp}]
+
+      // Graduation fields (drill variations retire from SRS)
+      graduated: false,
+      graduation_date: null,
+      consecutive_correct: 0,
+
+      // Card management: leech tag, suspension, burying, learner's flag
+      leech: false,
+      suspended: false,
+      remediation: false,  // Leech waiting in the remediation queue
+      buried_until: null,  // Out of the queue until this moment (next study day)
+      flagged: false
+    };
+  },
+
+  // Card id of a drill variant: 'unit01_001:en-de' or 'unit01_001:en-de:formal'
+  cardId(drillId, direction, register = null) {
+    return register ? `${drillId}:${direction}:${register}` : `${drillId}:${direction}`;
+  },
+
+  // Variants of a sentence ({id, registers_differ}): [{id, direction, register}]
+  cardVariants(sentence) {
+    const variants = [];
+    for (const direction of this.DIRECTIONS) {
+      const registers = sentence.registers_differ ? this.REGISTERS : [null];
+      for (const register of registers) {
+        variants.push({ id: this.cardId(sentence.id, direction, register), direction, register });
+      }
+    }
+    return variants;
+  },
+
+  // Is the card's variant one the learner studies?
+  isActive(card) {
+    return (!card.direction || this.params.activeDirections.includes(card.direction)) &&
+      (!card.register || this.params.activeRegisters.includes(card.register));
+  },
+
+  // Can the card come up now? Active, not graduated, suspended, in
+  // remediation or buried
+  isAvailable(card, now = new Date()) {
+    return !card.graduated && !card.suspended && !card.remediation &&
+      !(card.buried_until && new Date(card.buried_until) > now) && this.isActive(card);
+  },
+
+  // Initialize cards for a set of sentences ({id, unit, category, pos_pattern,
+  // commonality, registers_differ}): one card per active variant
+  initializeCards(sentences) {
+    // Sort by commonality (most common first for initial learning)
+    const sorted = [...sentences].sort((a, b) => b.commonality - a.commonality);
+
+    for (const sentence of sorted) {
+      this._migrateCard(sentence);
+      for (const variant of this.cardVariants(sentence)) {
+        if (this.cards[variant.id]) {
+          this._updateMeta(this.cards[variant.id], sentence);
+          continue;
+        }
+        if (!this.isActive(variant)) continue;
+        this.cards[variant.id] = this.createCard(variant.id, {
+          ...sentence,
+          drill_id: sentence.id,
+          direction: variant.direction,
+          register: variant.register
+        });
+      }
+    }
+
+    this.saveCards();
+  },
+
+  // Drill metadata follows the content: refresh it on existing cards
+  _updateMeta(card, sentence) {
+    for (const key of ['unit', 'category', 'pos_pattern', 'commonality']) {
+      if (sentence[key] !== undefined) card[key] = sentence[key];
+    }
+  },
+
+  // Cards used to be keyed by drill id alone. Such a card carries the
+  // EN→DE (and, where the registers differ, formal) schedule.
+  _migrateCard(sentence) {
+    const old = this.cards[sentence.id];
+    if (!old) return;
+
+    const register = sentence.registers_differ ? 'formal' : null;
+    const id = this.cardId(sentence.id, 'en-de', register);
+    this._dropCard(sentence.id);
+    if (this.cards[id]) return;
+
+    this.cards[id] = { ...old, id, drill_id: sentence.id, direction: 'en-de', register };
+    if (this.revlog[sentence.id]) {
+      this.revlog[id] = this.revlog[sentence.id];
+      delete this.revlog[sentence.id];
+      this._saveRevlog(id);
+      this._saveRevlog(sentence.id);
+    }
+  },
+
+  // ============================================
+  // FSRS CORE FUNCTIONS
+  // ============================================
+
+  // Forgetting curve: R(t, S) = (1 + t/(9*S))^(-1)
+  retrievability(elapsedDays, stability) {
+    if (stability <= 0) return 0;
+    return Math.pow(1 + elapsedDays / (9 * stability), -1);
+  },
+
+  // Next interval: I(r, S) = 9 * S * (1/r - 1)
+  nextInterval(stability, retention = this.params.requestRetention) {
+    if (stability <= 0) return 1;
+    return Math.round(9 * stability * (1 / retention - 1));
+  },
+
+  // Initial stability based on grade
+  initStability(grade) {
+    return this.params.w[grade - 1];
+  },
+
+  // Initial difficulty based on grade
+  initDifficulty(grade) {
+    const w = this.params.w;
+    return Math.max(1, Math.min(10, w[4] - (grade - 3) * w[5]));
+  },
+
+  // Stability after successful review
+  nextReviewStability(d, s, r, grade) {
+    const w = this.params.w;
+    const hardPenalty = grade === this.Rating.Hard ? w[15] : 1;
+    const easyBonus = grade === this.Rating.Easy ? w[16] : 1;
+
+    const sinc = Math.exp(w[8]) *
+                 (11 - d) *
+                 Math.pow(s, -w[9]) *
+                 (Math.exp(w[10] * (1 - r)) - 1) *
+                 hardPenalty *
+                 easyBonus;
+
+    return s * (sinc + 1);
+  },
+
+  // Stability after forgetting (lapse)
+  nextForgetStability(d, s, r) {
+    const w = this.params.w;
+    return w[11] *
+           Math.pow(d, -w[12]) *
+           (Math.pow(s + 1, w[13]) - 1) *
+           Math.exp(w[14] * (1 - r));
+  },
+
+  // Update difficulty
+  nextDifficulty(d, grade) {
+    const w = this.params.w;
+    const d0 = this.initDifficulty(3);  // Default difficulty
+    const newD = w[7] * d0 + (1 - w[7]) * (d - w[6] * (grade - 3));
+    return Math.max(1, Math.min(10, newD));
+  },
+
+  // ============================================
+  // REVIEW PROCESSING
+  // ============================================
+
+  processReview(cardId, grade, errorInfo = null) {
+    const card = this.cards[cardId];
+    if (!card) return null;
+
+    const now = new Date();
+    const stateBefore = card.state;
+
+    // Everything below can be undone
+    this._pushUndo(card, grade);
+
+    // Track error if present
+    if (errorInfo) {
+      card.error_history.push({
+        type: errorInfo.type,
+        timestamp: now.toISOString()
+      });
+      // Keep last 10 errors only
+      if (card.error_history.length > 10) {
+        card.error_history.shift();
+      }
+    }
+
+    const lapsesBefore = card.lapses;
+    const { intervalMinutes, intervalDays } = this._schedule(card, grade, now);
+
+    // Append to the card's review log (full history, see reschedule)
+    this._logReview(card, {
+      review: card.last_review,
+      rating: grade,
+      state_before: stateBefore,
+      state_after: card.state,
+      stability: card.stability,
+      difficulty: card.difficulty,
+      elapsed_days: card.elapsed_days,
+      scheduled_days: card.scheduled_days,
+      error: errorInfo ? errorInfo.type : null
+    });
+
+    // Update last pattern and category for spacing
+    this.lastPattern = card.pos_pattern;
+    this.lastCategory = card.category;
+
+    // Count toward today's new/review limits
+    this._countDaily(stateBefore);
+
+    // Update stats
+    this.sessionStats.reviewed++;
+    if (grade >= this.Rating.Good) {
+      this.sessionStats.correct++;
+    } else {
+      this.sessionStats.incorrect++;
+    }
+
+    // Check for drill graduation (non-canonical variations retire from SRS)
+    this._checkGraduation(card, grade);
+
+    // Check for reactivation (canonical lapse triggers sibling return)
+    if (grade === this.Rating.Again) {
+      this._checkReactivation(cardId);
+    }
+
+    // Leeches: tag on lapse; a correct answer in remediation ends it
+    const leech = card.lapses > lapsesBefore && this._checkLeech(card);
+    if (card.remediation && grade >= this.Rating.Good) {
+      card.remediation = false;
+    }
+
+    // Other variants and near-identical drills wait until tomorrow
+    if (this.params.burySiblings) {
+      this._burySiblings(card, now);
+    }
+
+    // Save the card and the siblings graduation, reactivation, leech
+    // handling and burying may have changed
+    this.saveCards([card, ...this.getSiblings(card)]);
+
+    const interval = intervalMinutes > 0 ? intervalMinutes / (60 * 24) : intervalDays;
+    return {
+      card: card,
+      interval: interval,
+      intervalDisplay: intervalMinutes > 0 ? `${intervalMinutes}m` : `${intervalDays}d`,
+      nextDue: card.due,
+      leech: leech
+    };
+  },
+
+  // Scheduler core: update the card's memory state and due date for a review
+  // at `now`. Used by processReview and, replaying the log, by reschedule.
+  _schedule(card, grade, now) {
+    const lastReview = card.last_review ? new Date(card.last_review) : now;
+    const elapsedDays = (now - lastReview) / (1000 * 60 * 60 * 24);
+
+    let intervalMinutes = 0;
+    let intervalDays = 0;
+
+    // Handle Learning/Relearning states (Anki-style short intervals)
+    if (card.state === this.State.New || card.state === this.State.Learning || card.state === this.State.Relearning) {
+      const steps = card.state === this.State.Relearning ? this.params.relearningSteps : this.params.learningSteps;
+
+      if (grade === this.Rating.Again) {
+        // Reset to first step
+        card.learning_step = 0;
+        card.state = card.state === this.State.New ? this.State.Learning : this.State.Relearning;
+        intervalMinutes = steps[0];
+      } else if (grade === this.Rating.Easy) {
+        // Graduate immediately with easy interval
+        card.state = this.State.Review;
+        card.learning_step = 0;
+        card.stability = this.initStability(grade);
+        card.difficulty = this.initDifficulty(grade);
+        intervalDays = this.params.easyInterval;
+      } else {
+        // Good or Hard: advance to next step
+        card.learning_step = (card.learning_step || 0) + 1;
+
+        if (card.learning_step >= steps.length) {
+          // Graduate to review
+          card.state = this.State.Review;
+          card.learning_step = 0;
+          card.stability = this.initStability(grade);
+          card.difficulty = this.initDifficulty(grade);
+          intervalDays = grade === this.Rating.Hard ? 1 : this.params.graduatingInterval;
+        } else {
+          // Next learning step
+          card.state = card.state === this.State.New ? this.State.Learning : card.state;
+          intervalMinutes = steps[card.learning_step];
+        }
+      }
+    }
+    // Handle Review state (FSRS algorithm)
+    else {
+      const r = this.retrievability(elapsedDays, card.stability);
+
+      if (grade === this.Rating.Again) {
+        // Lapse - go to relearning with short steps
+        card.stability = this.nextForgetStability(card.difficulty, card.stability, r);
+        card.lapses++;
+        card.state = this.State.Relearning;
+        card.learning_step = 0;
+        intervalMinutes = this.params.relearningSteps[0];
+      } else {
+        // Success - use FSRS
+        card.stability = this.nextReviewStability(card.difficulty, card.stability, r, grade);
+        card.difficulty = this.nextDifficulty(card.difficulty, grade);
+        intervalDays = Math.min(this.nextInterval(card.stability), this.params.maximumInterval);
+      }
+    }
+
+    // Set next due date
+    const dueDate = new Date(now);
+    if (intervalMinutes > 0) {
+      dueDate.setMinutes(dueDate.getMinutes() + intervalMinutes);
+      card.scheduled_days = intervalMinutes / (60 * 24);  // Convert to days for display
+    } else {
+      dueDate.setDate(dueDate.getDate() + intervalDays);
+      card.scheduled_days = intervalDays;
+    }
+
+    card.elapsed_days = elapsedDays;
+    card.reps++;
+    card.last_review = now.toISOString();
+    card.due = dueDate.toISOString();
+
+    // Track consecutive correct for graduation (reset on incorrect)
+    card.consecutive_correct = grade >= this.Rating.Good ? (card.consecutive_correct || 0) + 1 : 0;
+
+    return { intervalMinutes, intervalDays };
+  },
+
+  // ============================================
+  // UNDO (last reviews)
+  // ============================================
+
+  // Snapshot what a review of the card can change: the card and its siblings
+  // (graduation, canonical swaps, reactivation, leech, burying), the counters
+  // and the session queue
+  _pushUndo(card, grade) {
+    const clone = value => JSON.parse(JSON.stringify(value));
+    const cards = [card, ...this.getSiblings(card)];
+    // The response logged for this answer, just before its review
+    const last = this.analytics.responses[this.analytics.responses.length - 1];
+
+    this.undoStack.push({
+      cardId: card.id,
+      grade,
+      cards: cards.map(clone),
+      revlogLength: this.getRevlog(card.id).length,
+      response: last?.cardId === card.id ? last : null,
+      sessionStats: { ...this.sessionStats },
+      daily: { ...this.getDailyCounts() },
+      lastPattern: this.lastPattern,
+      lastCategory: this.lastCategory,
+      queue: this.sessionQueue.map(c => c.id)
+    });
+    if (this.undoStack.length > this.UNDO_LIMIT) this.undoStack.shift();
+  },
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  },
+
+  // Revert the last review: cards, review log, analytics entry, counters and
+  // session queue. Returns {card, grade, correct} with the card to answer
+  // again, or null when there is nothing to undo.
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    for (const saved of entry.cards) {
+      this.cards[saved.id] = saved;
+    }
+
+    const log = this.revlog[entry.cardId];
+    if (log) {
+      log.length = entry.revlogLength;
+      if (log.length === 0) delete this.revlog[entry.cardId];
+    }
+
+    const index = this.analytics.responses.indexOf(entry.response);
+    if (index >= 0) {
+      this.analytics.responses.splice(index, 1);
+      this.storage.putAll('responses', this.analytics.responses);
+      if (typeof FSI_Auth !== 'undefined' && FSI_Auth.isConfigured()) {
+        FSI_Auth.discardResponse(entry.response);
+      }
+    }
+
+    this.sessionStats = entry.sessionStats;
+    this.daily = entry.daily;
+    this.lastPattern = entry.lastPattern;
+    this.lastCategory = entry.lastCategory;
+    this.sessionQueue = entry.queue.map(id => this.cards[id]).filter(Boolean);
+
+    this.saveCards(entry.cards, { revert: true });
+    this._saveRevlog(entry.cardId);
+    this.storage.set(this.DAILY_KEY, this.daily);
+
+    return {
+      card: this.cards[entry.cardId],
+      grade: entry.grade,
+      correct: entry.response ? entry.response.correct : entry.grade >= this.Rating.Good
+    };
+  },
+
+  // ============================================
+  // REVIEW LOG (append-only, per card)
+  // ============================================
+
+  _logReview(card, entry) {
+    (this.revlog[card.id] = this.revlog[card.id] || []).push(entry);
+    this._saveRevlog(card.id);
+  },
+
+  // Write one card's log (or its removal)
+  _saveRevlog(cardId) {
+    if (this.revlog[cardId]) return this.storage.put('revlog', { [cardId]: this.revlog[cardId] });
+    return this.storage.delete('revlog', cardId);
+  },
+
+  // Review log of a card, oldest first
+  getRevlog(cardId) {
+    return this.revlog[cardId] || [];
+  },
+
+  // Rebuild every card's schedule by replaying its review log under the
+  // current params, after merging in `params` (e.g. {requestRetention: 0.85}).
+  // Cards whose log doesn't cover every review (e.g. reviewed before the log
+  // existed) can't be replayed and are skipped.
+  // Graduation status and error history are kept as they are.
+  reschedule(params = {}) {
+    Object.assign(this.params, params);
+    this.undoStack = [];  // Snapshots hold the old schedules
+    let rescheduled = 0;
+    let skipped = 0;
+
+    for (const card of Object.values(this.cards)) {
+      const log = this.getRevlog(card.id);
+      if (card.reps === 0 && log.length === 0) continue;  // Never reviewed
+      if (log.length !== card.reps) {
+        skipped++;
+        continue;
+      }
+
+      const replay = this.createCard(card.id, card);
+      for (const entry of log) {
+        this._schedule(replay, entry.rating, new Date(entry.review));
+      }
+      for (const key of ['due', 'stability', 'difficulty', 'elapsed_days', 'scheduled_days',
+        'reps', 'lapses', 'state', 'last_review', 'learning_step', 'consecutive_correct']) {
+        card[key] = replay[key];
+      }
+      card.updatedAt = new Date().toISOString();
+      rescheduled++;
+    }
+
+    this.saveCards();
+    return { rescheduled, skipped };
+  },
+
+  async loadRevlog() {
+    this.revlog = await this.storage.getAll('revlog');
+  },
+
+  async saveRevlog() {
+    return this.storage.putAll('revlog', this.revlog);
+  },
+
+  // ============================================
+  // QUEUE MANAGEMENT (NLP-aware)
+  // ============================================
+
+  // Learning, relearning and review cards due by now (new cards: getNewCards)
+  getDueCards() {
+    const now = new Date();
+    const due = [];
+
+    for (const [id, card] of Object.entries(this.cards)) {
+      // Skip graduated (retired), suspended and buried cards
+      if (card.state === this.State.New || !this.isAvailable(card, now)) continue;
+
+      const dueDate = new Date(card.due);
+      if (dueDate <= now) {
+        due.push(card);
+      }
+    }
+
+    return due;
+  },
+
+  // Unseen cards in course order: earlier units first, most common first within a unit
+  getNewCards(limit = Infinity) {
+    return Object.values(this.cards)
+      .filter(card => card.state === this.State.New && this.isAvailable(card))
+      .sort((a, b) => (a.unit - b.unit) || (b.commonality - a.commonality))
+      .slice(0, limit);
+  },
+
+  // Due cards within today's review limit, with new cards (within today's new
+  // limit) mixed in at newCardRatio. Learning steps are never held back.
+  buildSessionQueue(maxCards = 20) {
+    const { newLeft, reviewsLeft } = this.getDailyLimits();
+    const byDue = (a, b) => new Date(a.due) - new Date(b.due);
+    const due = this.getDueCards();
+
+    // Oldest due first; with burySiblings, one card per drill and pattern group
+    // (learning steps excepted), as the first one reviewed buries the rest
+    const learning = due.filter(c => c.state !== this.State.Review).sort(byDue);
+    const seen = new Set(learning.map(c => this._siblingKey(c)));
+    const unburied = cards => this.params.burySiblings ? cards.filter(c => {
+      const key = this._siblingKey(c);
+      return !seen.has(key) && seen.add(key);
+    }) : cards;
+    const reviews = unburied(due.filter(c => c.state === this.State.Review).sort(byDue)).slice(0, reviewsLeft);
+    const scheduled = [...learning, ...reviews];
+
+    // New cards get their share, or every free slot when few reviews are due
+    const newSlots = Math.max(Math.round(maxCards * this.params.newCardRatio), maxCards - scheduled.length);
+    const newCards = unburied(this.getNewCards()).slice(0, Math.min(newLeft, newSlots));
+    const old = scheduled.slice(0, maxCards - newCards.length);
+
+    // Spread new cards evenly through the reviews
+    const queue = [...old];
+    newCards.forEach((card, i) => {
+      const pos = Math.round((i + 1) * (old.length + newCards.length) / (newCards.length + 1)) - 1;
+      queue.splice(Math.min(pos, queue.length), 0, card);
+    });
+
+    this.sessionQueue = queue;
+    return this.sessionQueue;
+  },
+
+  getNextCard() {
+    if (this.sessionQueue.length === 0) {
+      this.buildSessionQueue();
+    }
+
+    if (this.sessionQueue.length === 0) {
+      return null;  // No cards due
+    }
+
+    // NLP-aware selection: avoid the same POS pattern and grammar category
+    // twice in a row, or at least the same pattern
+    if (this.lastPattern || this.lastCategory) {
+      const newPattern = c => !this.lastPattern || c.pos_pattern !== this.lastPattern;
+      const newCategory = c => !this.lastCategory || c.category !== this.lastCategory;
+      let idx = this.sessionQueue.findIndex(c => newPattern(c) && newCategory(c));
+      if (idx < 0) idx = this.sessionQueue.findIndex(newPattern);
+      if (idx > 0) {
+        // Move that card to front
+        const [card] = this.sessionQueue.splice(idx, 1);
+        this.sessionQueue.unshift(card);
+      }
+    }
+
+    // Pop first card
+    return this.sessionQueue.shift();
+  },
+
+  // ============================================
+  // ERROR-TO-RATING CONVERSION
+  // ============================================
+
+  errorToRating(errors) {
+    if (!errors || errors.length === 0) return this.Rating.Good;
+
+    // Only soft errors: the answer was right, capitalization still costs
+    const isSoft = this.errors
+      ? e => this.errors.isSoft(e)
+      : e => this.SOFT_ERROR_TYPES.includes(e.type);
+    const hard = errors.filter(e => !isSoft(e));
+    if (hard.length === 0) {
+      return errors.some(e => e.type === 'capitalization') ? this.Rating.Hard : this.Rating.Good;
+    }
+
+    const primary = hard[0];
+    // Missing and extra words count one error per word
+    const errorCount = hard.reduce((count, e) => count + (e.words ? e.words.length : 1), 0);
+
+    // Multiple errors = Again
+    if (errorCount >= 3) return this.Rating.Again;
+
+    // A missing noun, verb, ... means the sentence wasn't produced
+    if (hard.some(e => e.type === 'missing' && (e.content || e.words).length > 0)) return this.Rating.Again;
+
+    // Based on error type
+    switch (primary.type) {
+      case 'spelling':
+      case 'umlaut':
+        // Minor spelling = Hard
+        return this.Rating.Hard;
+
+      case 'grammar':
+        // Grammar errors are more serious
+        return this.Rating.Again;
+
+      case 'word_order':
+        // Word order = important to fix
+        return this.Rating.Again;
+
+      case 'confusable':
+        // Confusables are tricky but not total failure
+        return this.Rating.Hard;
+
+      case 'register':
+        // Right sentence, wrong form of address (du for Sie or vice versa)
+        return this.Rating.Hard;
+
+      default:
+        return errorCount > 1 ? this.Rating.Again : this.Rating.Hard;
+    }
+  },
+
+  // Adjust a correct answer's rating by how fast it came (Good → Easy or Hard).
+  // Wrong answers and answers already downgraded keep their rating.
+  timedRating(rating, responseTimeMs, expected) {
+    if (rating !== this.Rating.Good || !responseTimeMs || !expected) return rating;
+    if (responseTimeMs > this.params.timingMaxMs) return rating;
+
+    const pace = responseTimeMs / expected.length;
+    const median = this.getMedianPace();
+    if (pace <= median * this.params.timingFastRatio) return this.Rating.Easy;
+    if (pace >= median * this.params.timingSlowRatio) return this.Rating.Hard;
+    return rating;
+  },
+
+  // Learner's median ms per expected character over recent correct answers
+  getMedianPace() {
+    const paces = this.analytics.responses
+      .filter(r => r.correct && r.expected && r.responseTimeMs &&
+        r.responseTimeMs <= this.params.timingMaxMs)
+      .slice(-this.params.timingWindow)
+      .map(r => r.responseTimeMs / r.expected.length)
+      .sort((a, b) => a - b);
+    if (paces.length < this.params.timingMinSamples) return this.params.timingBaseMsPerChar;
+
+    const mid = Math.floor(paces.length / 2);
+    return paces.length % 2 ? paces[mid] : (paces[mid - 1] + paces[mid]) / 2;
+  },
+
+  // ============================================
+  // STATISTICS
+  // ============================================
+
+  getStats() {
+    const cards = Object.values(this.cards);
+    const now = new Date();
+
+    const stats = {
+      total: cards.length,
+      new: 0,
+      learning: 0,
+      review: 0,
+      relearning: 0,
+      due_today: 0,
+      mastered: 0,  // stability > 21 days
+      leeches: 0,
+      suspended: 0,
+      remediation: 0,
+      buried: 0,
+      flagged: 0,
+
+      avg_stability: 0,
+      avg_difficulty: 0,
+      total_reviews: 0,
+      total_lapses: 0,
+
+      session: this.sessionStats,
+
+      // Per direction (production EN→DE, recognition DE→EN)
+      by_direction: {}
+    };
+
+    let totalStability = 0;
+    let totalDifficulty = 0;
+    let reviewedCount = 0;
+    let dueReviews = 0;
+
+    for (const card of cards) {
+      // Per-direction counts
+      const direction = card.direction || 'en-de';
+      const dirStats = stats.by_direction[direction] = stats.by_direction[direction] ||
+        { total: 0, new: 0, learning: 0, review: 0, mastered: 0, reviews: 0, lapses: 0 };
+      dirStats.total++;
+      if (card.state === this.State.New) dirStats.new++;
+      else if (card.state === this.State.Review) dirStats.review++;
+      else dirStats.learning++;
+      if (card.stability > 21) dirStats.mastered++;
+      dirStats.reviews += card.reps;
+      dirStats.lapses += card.lapses;
+
+      // State counts
+      switch (card.state) {
+        case this.State.New: stats.new++; break;
+        case this.State.Learning: stats.learning++; break;
+        case this.State.Review: stats.review++; break;
+        case this.State.Relearning: stats.relearning++; break;
+      }
+
+      // Due today (new cards are limited below)
+      if (card.state !== this.State.New && this.isAvailable(card, now) &&
+          new Date(card.due) <= now) {
+        if (card.state === this.State.Review) dueReviews++;
+        else stats.due_today++;
+      }
+
+      // Mastered (stability > 21 days)
+      if (card.stability > 21) {
+        stats.mastered++;
+      }
+
+      // Card management
+      if (card.leech) stats.leeches++;
+      if (card.suspended) stats.suspended++;
+      if (card.remediation) stats.remediation++;
+      if (card.buried_until && new Date(card.buried_until) > now) stats.buried++;
+      if (card.flagged) stats.flagged++;
+
+      // Averages
+      if (card.reps > 0) {
+        totalStability += card.stability;
+        totalDifficulty += card.difficulty;
+        reviewedCount++;
+      }
+
+      stats.total_reviews += card.reps;
+      stats.total_lapses += card.lapses;
+    }
+
+    if (reviewedCount > 0) {
+      stats.avg_stability = totalStability / reviewedCount;
+      stats.avg_difficulty = totalDifficulty / reviewedCount;
+    }
+
+    // What's left today within the daily limits
+    const { newLeft, reviewsLeft } = this.getDailyLimits();
+    const newActive = cards.filter(c => c.state === this.State.New && this.isAvailable(c, now)).length;
+    stats.due_today += Math.min(dueReviews, reviewsLeft) + Math.min(newActive, newLeft);
+    stats.daily = { ...this.daily, newLeft, reviewsLeft };
+
+    return stats;
+  },
+
+  // ============================================
+  // PATTERN ANALYSIS
+  // ============================================
+
+  // Group cards by POS pattern for analysis
+  getPatternGroups() {
+    const groups = {};
+
+    for (const card of Object.values(this.cards)) {
+      const pattern = card.pos_pattern || 'unknown';
+      if (!groups[pattern]) {
+        groups[pattern] = [];
+      }
+      groups[pattern].push(card);
+    }
+
+    return groups;
+  },
+
+  // Get cards with most errors
+  getProblematicCards(limit = 10) {
+    const cards = Object.values(this.cards);
+
+    return cards
+      .filter(c => c.error_history.length > 0)
+      .sort((a, b) => b.error_history.length - a.error_history.length)
+      .slice(0, limit);
+  },
+
+  // Get error type distribution
+  getErrorDistribution() {
+    const dist = {};
+
+    for (const card of Object.values(this.cards)) {
+      for (const error of card.error_history) {
+        dist[error.type] = (dist[error.type] || 0) + 1;
+      }
+    }
+
+    return dist;
+  },
+
+  // ============================================
+  // LEECHES, SUSPEND, BURY, FLAG
+  // ============================================
+
+  // Tag a card as a leech at leechThreshold lapses and again every half
+  // threshold after, then suspend it or send it to remediation
+  _checkLeech(card) {
+    const threshold = this.params.leechThreshold;
+    if (!threshold || card.lapses < threshold) return false;
+    if ((card.lapses - threshold) % Math.ceil(threshold / 2) !== 0) return false;
+
+    card.leech = true;
+    if (this.params.leechAction === 'remediate') {
+      card.remediation = true;
+    } else {
+      card.suspended = true;
+    }
+    this._dropFromQueue(card);
+    return true;
+  },
+
+  // Cards that come up together with this one: the drill's other variants
+  // and the drills of its pattern group
+  getSiblings(card) {
+    const key = this._siblingKey(card);
+    return Object.values(this.cards).filter(c => c.id !== card.id && this._siblingKey(c) === key);
+  },
+
+  // Bury new and review siblings until the next study day. Siblings in
+  // learning steps keep their short intervals.
+  _burySiblings(card, now = new Date()) {
+    const until = this.nextDayStart(now);
+    for (const sibling of this.getSiblings(card)) {
+      if (sibling.state === this.State.New || sibling.state === this.State.Review) {
+        sibling.buried_until = until;
+        this._dropFromQueue(sibling);
+      }
+    }
+  },
+
+  // Siblings share this key: the pattern group, or the drill outside groups
+  _siblingKey(card) {
+    const drillId = card.drill_id || card.id;
+    return this.drillMeta[drillId]?.pattern_group || drillId;
+  },
+
+  _dropFromQueue(card) {
+    this.sessionQueue = this.sessionQueue.filter(c => c.id !== card.id);
+  },
+
+  // Suspended cards never come up until unsuspended
+  suspendCard(cardId) {
+    const card = this.cards[cardId];
+    if (!card) return false;
+    card.suspended = true;
+    this._dropFromQueue(card);
+    this.saveCards([card]);
+    return true;
+  },
+
+  // Back into the queue (the leech tag stays; remediation ends too)
+  unsuspendCard(cardId) {
+    const card = this.cards[cardId];
+    if (!card) return false;
+    card.suspended = false;
+    card.remediation = false;
+    this.saveCards([card]);
+    return true;
+  },
+
+  // Out of the queue until the next study day
+  buryCard(cardId) {
+    const card = this.cards[cardId];
+    if (!card) return false;
+    card.buried_until = this.nextDayStart();
+    this._dropFromQueue(card);
+    this.saveCards([card]);
+    return true;
+  },
+
+  unburyCard(cardId) {
+    const card = this.cards[cardId];
+    if (!card) return false;
+    card.buried_until = null;
+    this.saveCards([card]);
+    return true;
+  },
+
+  // Mark a card for the learner's attention (e.g. a questionable drill)
+  flagCard(cardId, flagged = true) {
+    const card = this.cards[cardId];
+    if (!card) return false;
+    card.flagged = flagged;
+    this.saveCards([card]);
+    return true;
+  },
+
+  getLeeches() {
+    return Object.values(this.cards).filter(c => c.leech).sort((a, b) => b.lapses - a.lapses);
+  },
+
+  getSuspendedCards() {
+    return Object.values(this.cards).filter(c => c.suspended);
+  },
+
+  getFlaggedCards() {
+    return Object.values(this.cards).filter(c => c.flagged);
+  },
+
+  // Leeches waiting for remediation, most lapses first
+  getRemediationCards() {
+    return Object.values(this.cards)
+      .filter(c => c.remediation && !c.suspended && this.isActive(c))
+      .sort((a, b) => b.lapses - a.lapses);
+  },
+
+  // Session of remediation cards only, whether due or not
+  buildRemediationQueue(maxCards = 20) {
+    this.sessionQueue = this.getRemediationCards().slice(0, maxCards);
+    return this.sessionQueue;
+  },
+
+  // ============================================
+  // RESET / DEBUG
+  // ============================================
+
+  resetCard(cardId) {
+    if (this._resetCard(cardId)) {
+      this.saveCards([this.cards[cardId]]);
+      this._saveRevlog(cardId);
+    }
+  },
+
+  resetAllCards() {
+    for (const cardId of Object.keys(this.cards)) {
+      this._resetCard(cardId);
+    }
+    this.storage.putAll('cards', this.cards);
+    this.saveRevlog();
+  },
+
+  _resetCard(cardId) {
+    if (!this.cards[cardId]) return false;
+    const oldData = this.cards[cardId];
+    this.cards[cardId] = this.createCard(cardId, oldData);
+    delete this.revlog[cardId];
+    this.undoStack = [];
+    return true;
+  },
+
+  resetSessionStats() {
+    this.sessionStats = { reviewed: 0, correct: 0, incorrect: 0 };
+  },
+
+  // ============================================
+  // DRILL GRADUATION (pattern variations retire from SRS)
+  // ============================================
+
+  // Load drill metadata (pattern_group, is_canonical) from drills data
+  loadDrillMeta(drillsData) {
+    if (!drillsData?.drills) return;
+    for (const drill of drillsData.drills) {
+      this.drillMeta[drill.id] = {
+        pattern_group: drill.pattern_group || null,
+        is_canonical: drill.is_canonical !== false  // Default true if not specified
+      };
+    }
+  },
+
+  // Check if card should graduate (called after correct answer)
+  // If canonical meets criteria, swap with a sibling (pattern stays, card rotates)
+  _checkGraduation(card, grade) {
+    if (grade < this.Rating.Good) return;  // Only on correct answers
+    if (card.graduated) return;  // Already graduated
+
+    const meta = this.drillMeta[card.drill_id || card.id];
+    if (!meta) return;  // No metadata loaded
+
+    const consecutive = card.consecutive_correct || 0;
+    const interval = card.scheduled_days || 0;
+
+    // Check graduation conditions
+    if (consecutive >= this.params.graduationConsecutive &&
+        interval >= this.params.graduationMinInterval) {
+
+      const siblings = this._getSiblingCards(meta.pattern_group, card.direction);
+      const graduatedSiblings = siblings.filter(s => s.graduated && s.id !== card.id);
+      const activeSiblings = siblings.filter(s => !s.graduated && s.id !== card.id);
+
+      if (this._isCanonical(card)) {
+        // CANONICAL ROTATION: swap with a graduated sibling
+        if (graduatedSiblings.length > 0) {
+          // Pick random graduated sibling to become new canonical
+          const newCanonical = this._shuffle(graduatedSiblings)[0];
+
+          // Swap: old canonical graduates, sibling becomes canonical
+          card.graduated = true;
+          card.graduation_date = new Date().toISOString();
+          card.canonical = false;
+
+          newCanonical.graduated = false;
+          newCanonical.consecutive_correct = 0;
+          newCanonical.state = this.State.Review;
+          newCanonical.due = new Date().toISOString();
+          newCanonical.canonical = true;
+
+          console.log(`Canonical swap: ${card.id} → ${newCanonical.id} in ${meta.pattern_group}`);
+        }
+        // If no graduated siblings, canonical stays (pattern needs representation)
+      } else {
+        // Non-canonical: normal graduation if siblings remain
+        if (activeSiblings.length > 0) {
+          card.graduated = true;
+          card.graduation_date = new Date().toISOString();
+          console.log(`Graduated: ${card.id} from pattern ${meta.pattern_group}`);
+        }
+      }
+    }
+  },
+
+  // Check if canonical lapse should reactivate siblings
+  _checkReactivation(cardId) {
+    const card = this.cards[cardId];
+    if (!card) return;
+
+    const meta = this.drillMeta[card.drill_id || cardId];
+    if (!meta?.pattern_group) return;
+    if (!this._isCanonical(card)) return;  // Only for canonical cards
+
+    // Count recent lapses (last 30 days)
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+
+    let recentLapses = 0;
+    for (const err of (card.error_history || [])) {
+      if (new Date(err.timestamp) > thirtyDaysAgo) {
+        recentLapses++;
+      }
+    }
+
+    if (recentLapses >= this.params.reactivationLapseThreshold) {
+      // Reactivate some graduated siblings
+      const graduated = this._getGraduatedSiblings(meta.pattern_group, card.direction);
+      const toReactivate = this._shuffle(graduated).slice(0, 3);
+
+      for (const sibling of toReactivate) {
+        sibling.graduated = false;
+        sibling.state = this.State.Relearning;
+        sibling.consecutive_correct = 0;
+        sibling.learning_step = 0;
+        sibling.due = new Date().toISOString();
+        console.log(`Reactivated: ${sibling.id} due to canonical lapse on ${cardId}`);
+      }
+    }
+  },
+
+  // Each variant rotates on its own: a swap in one direction leaves the drill
+  // canonical in the other. Cards start out as canonical as their drill.
+  _isCanonical(card) {
+    if (card.canonical !== undefined) return card.canonical;
+    return this.drillMeta[card.drill_id || card.id]?.is_canonical !== false;
+  },
+
+  // Get all cards in the same pattern group (and direction, if given)
+  _getSiblingCards(patternGroup, direction = null) {
+    if (!patternGroup) return [];
+    const siblings = [];
+    for (const [id, card] of Object.entries(this.cards)) {
+      const meta = this.drillMeta[card.drill_id || id];
+      if (meta?.pattern_group === patternGroup && (!direction || card.direction === direction)) {
+        siblings.push(card);
+      }
+    }
+    return siblings;
+  },
+
+  // Get graduated siblings in a pattern group
+  _getGraduatedSiblings(patternGroup, direction = null) {
+    return this._getSiblingCards(patternGroup, direction).filter(c => c.graduated);
+  },
+
+  // Fisher-Yates shuffle
+  _shuffle(arr) {
+    const a = [...arr];
+    for (let i = a.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [a[i], a[j]] = [a[j], a[i]];
+    }
+    return a;
+  },
+
+  // Get graduation statistics
+  getGraduationStats() {
+    const cards = Object.values(this.cards);
+    const graduated = cards.filter(c => c.graduated);
+    const patterns = new Set();
+
+    for (const [id, meta] of Object.entries(this.drillMeta)) {
+      if (meta.pattern_group) patterns.add(meta.pattern_group);
+    }
+
+    return {
+      total: cards.length,
+      graduated: graduated.length,
+      active: cards.length - graduated.length,
+      patterns: patterns.size,
+      percentGraduated: cards.length ? ((graduated.length / cards.length) * 100).toFixed(1) : 0
+    };
+  },
+
+  // ============================================
+  // ANALYTICS - Response Tracking
+  // ============================================
+
+  async loadAnalytics() {
+    this.analytics.userId = await this.storage.get(this.storage.USER_KEY);
+    this.analytics.responses = await this.storage.getAll('responses');
+  },
+
+  // Write all responses and the user id (logResponse appends one by one)
+  async saveAnalytics() {
+    await this.storage.set(this.storage.USER_KEY, this.analytics.userId);
+    await this.storage.putAll('responses', this.analytics.responses);
+  },
+
+  // Call when showing a new prompt to start timing
+  startPromptTimer() {
+    this.analytics.promptStartTime = Date.now();
+  },
+
+  // Milliseconds since the current prompt was shown (null if not timed)
+  getResponseTime() {
+    return this.analytics.promptStartTime
+      ? Date.now() - this.analytics.promptStartTime
+      : null;
+  },
+
+  // Log a response with full details for analysis
+  logResponse(data) {
+    const responseTime = data.responseTimeMs ?? this.getResponseTime();
+
+    const response = {
+      // Unique, so synced copies are recognized
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+
+      // Timing
+      timestamp: new Date().toISOString(),
+      responseTimeMs: responseTime,
+
+      // Card info
+      cardId: data.cardId,
+      unit: data.unit,
+      drillType: data.drillType,
+
+      // Prompt & answer
+      promptEn: data.promptEn,
+      expected: data.expected,
+      userAnswer: data.userAnswer,
+
+      // Result
+      correct: data.correct,
+      grade: data.grade,  // Again/Hard/Good/Easy
+      registerMismatch: data.registerMismatch || false,  // right answer, other register
+
+      // Error details (if incorrect)
+      errors: data.errors || [],  // [{type, detail, position}]
+
+      // Context
+      mode: data.mode || 'srs',  // 'srs' or 'linear'
+      register: data.register || 'formal',  // 'formal' or 'informal'
+      direction: data.direction || 'en-de',  // 'en-de' (production) or 'de-en' (recognition)
+
+      // User state
+      userId: this.analytics.userId,
+      cardState: data.cardState,  // New/Learning/Review/Relearning
+      cardReps: data.cardReps,
+      cardLapses: data.cardLapses
+    };
+
+    this.analytics.responses.push(response);
+
+    // Keep as many responses as the backend has room for (IndexedDB: all)
+    const limit = this.storage.responseLimit;
+    if (this.analytics.responses.length > limit) {
+      this.analytics.responses = this.analytics.responses.slice(-limit);
+    }
+
+    this.storage.append('responses', response);
+
+    // Auto-sync to the server if signed in
+    if (typeof FSI_Auth !== 'undefined' && FSI_Auth.isConfigured()) {
+      FSI_Auth.saveResponse(response);
+    }
+
+    return response;
+  },
+
+  // Set user ID (from auth)
+  setUserId(userId) {
+    this.analytics.userId = userId;
+    this.storage.set(this.storage.USER_KEY, userId);
+  },
+
+  // Get analytics summary for patterns
+  getAnalyticsSummary() {
+    const responses = this.analytics.responses;
+    if (responses.length === 0) return null;
+
+    // Error type frequency
+    const errorTypes = {};
+    // Average response time by correctness
+    let correctTimes = [];
+    let incorrectTimes = [];
+    // Errors by unit
+    const errorsByUnit = {};
+    // Common mistakes (specific cards)
+    const mistakesByCard = {};
+
+    for (const r of responses) {
+      // Response times
+      if (r.responseTimeMs) {
+        if (r.correct) {
+          correctTimes.push(r.responseTimeMs);
+        } else {
+          incorrectTimes.push(r.responseTimeMs);
+        }
+      }
+
+      // Error types
+      for (const err of (r.errors || [])) {
+        errorTypes[err.type] = (errorTypes[err.type] || 0) + 1;
+      }
+
+      // Errors by unit
+      if (!r.correct && r.unit) {
+        errorsByUnit[r.unit] = (errorsByUnit[r.unit] || 0) + 1;
+      }
+
+      // Mistakes by card
+      if (!r.correct && r.cardId) {
+        if (!mistakesByCard[r.cardId]) {
+          mistakesByCard[r.cardId] = { count: 0, errors: [], lastAnswer: '' };
+        }
+        mistakesByCard[r.cardId].count++;
+        mistakesByCard[r.cardId].errors.push(...(r.errors || []));
+        mistakesByCard[r.cardId].lastAnswer = r.userAnswer;
+      }
+    }
+
+    const avg = arr => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+
+    return {
+      totalResponses: responses.length,
+      correctCount: responses.filter(r => r.correct).length,
+      incorrectCount: responses.filter(r => !r.correct).length,
+      accuracy: responses.length ? (responses.filter(r => r.correct).length / responses.length * 100).toFixed(1) : 0,
+      avgCorrectTimeMs: Math.round(avg(correctTimes)),
+      avgIncorrectTimeMs: Math.round(avg(incorrectTimes)),
+      errorTypes,
+      errorsByUnit,
+      topMistakes: Object.entries(mistakesByCard)
+        .sort((a, b) => b[1].count - a[1].count)
+        .slice(0, 20)
+        .map(([id, data]) => ({ cardId: id, ...data }))
+    };
+  },
+
+  // Export analytics as JSON for external analysis
+  exportAnalytics() {
+    return {
+      userId: this.analytics.userId,
+      exportedAt: new Date().toISOString(),
+      summary: this.getAnalyticsSummary(),
+      responses: this.analytics.responses
+    };
+  },
+
+  // Clear analytics data
+  clearAnalytics() {
+    this.analytics.responses = [];
+    this.storage.putAll('responses', []);
+  }
+};
+
+// Export
+if (typeof module !== 'undefined') {
+  module.exports = FSI_SRS;
+}
@@ -0,0 +1,680 @@
+/**
+ * FSI Course 2.0 - Storage
+ *
+ * One storage layer for FSI_SRS and FSI_Linear:
+ * - IndexedDB: one record per card and per card's review log, responses
+ *   appended one by one, small values (params, options, ...) by key
+ * - chrome.storage or localStorage as fallbacks: each collection is one
+ *   blob under its old key (allonsy_fsi_srs, ...), as before
+ *
+ * Each learner profile has its own data: a database (allonsy_fsi_<profile>),
+ * or keys ending in :<profile> in the fallbacks. The profile list itself is
+ * kept outside the profiles; switching takes effect on the next page load.
+ *
+ * Other tabs of the same profile hear about every write (BroadcastChannel,
+ * or storage events) so they can keep their copies current; see subscribe.
+ *
+ * The schema version is stored with the data. On first run, progress saved
+ * by older versions (localStorage/chrome.storage blobs, the database from
+ * before profiles) moves into the default profile. Writes never throw:
+ * failures are logged and shown.
+ */
+
+const FSI_Storage = {
+  SCHEMA_VERSION: 2,
+  DB_NAME: 'allonsy_fsi',  // Per profile: allonsy_fsi_<profile id>
+  SCHEMA_KEY: 'allonsy_fsi_schema',
+  KEY_PREFIX: 'allonsy_fsi_',  // Of every key saved by FSI_SRS, FSI_Linear, ...
+  PROFILES_KEY: 'allonsy_fsi_profiles',  // {active, profiles: [{id, name, createdAt}]}
+  DEFAULT_PROFILE: 'default',  // Gets the data saved before profiles
+
+  // Collections and the keys they were saved under as blobs (still used
+  // by the fallback backends)
+  COLLECTIONS: {
+    cards: 'allonsy_fsi_srs',  // {cardId: card}
+    revlog: 'allonsy_fsi_revlog',  // {cardId: [entry]}
+    responses: 'allonsy_fsi_analytics'  // [response] (blob: {userId, responses})
+  },
+  // Values saved by key, moved into IndexedDB as they are
+  LEGACY_KEYS: ['allonsy_fsi_params', 'allonsy_fsi_daily', 'allonsy_fsi_options', 'allonsy_fsi_linear'],
+  USER_KEY: 'allonsy_fsi_user',  // Analytics user id (was in the analytics blob)
+  TTS_KEY: 'rhodes_german_tts',  // TTS settings (were in localStorage)
+  PREFS_KEY: 'allonsy_fsi_prefs',  // Drill defaults: {register, direction}
+  BROADCAST_KEY: 'allonsy_fsi_broadcast',  // Messages to other tabs without BroadcastChannel
+  BROADCAST_RECORDS: 50,  // More records than this go as 'putAll' (localStorage has little room)
+
+  // Fallback backends have little room: keep this many responses there
+  FALLBACK_RESPONSES: 10000,
+
+  backend: null,  // 'indexeddb', 'chrome' or 'localstorage' once ready
+  profile: null,  // Active profile id once ready
+  db: null,
+  tabId: Math.random().toString(36).slice(2, 10),
+  pendingWrites: 0,  // Writes not finished yet (don't close the page)
+  _ready: null,
+  _blobQueue: Promise.resolve(),  // Fallback: blob updates, one at a time
+  _channel: null,
+  _listeners: [],
+
+  // Open the backend and migrate once; every other method waits for it
+  ready() {
+    if (!this._ready) this._ready = this._init();
+    return this._ready;
+  },
+
+  async _init() {
+    this.profile = (await this.getProfiles()).active;
+    this._listen();
+    try {
+      if (typeof indexedDB === 'undefined') throw new Error('IndexedDB not available');
+      this.db = await this._open();
+      this.backend = 'indexeddb';
+    } catch (e) {
+      console.warn('IndexedDB unavailable, using', this._hasChrome() ? 'chrome.storage' : 'localStorage', '-', e.message);
+      this.backend = this._hasChrome() ? 'chrome' : 'localstorage';
+    }
+    await this._migrate();
+    return this;
+  },
+
+  _hasChrome() {
+    return typeof chrome !== 'undefined' && !!chrome.storage && !!chrome.storage.local;
+  },
+
+  // Responses the backend keeps (all of them in IndexedDB)
+  get responseLimit() {
+    return this.backend === 'indexeddb' ? Infinity : this.FALLBACK_RESPONSES;
+  },
+
+  // Public methods wait for the backend and migration (which uses the _ ones)
+  async get(key) {
+    await this.ready();
+    return this._get(key);
+  },
+
+  // Writes tell the other tabs once done
+  async set(key, value) {
+    await this._tracked(() => this._set(key, value));
+    this.broadcast({ type: 'set', key, value });
+  },
+
+  async remove(key) {
+    await this._tracked(() => this._remove(key));
+    this.broadcast({ type: 'set', key, value: null });
+  },
+
+  async getAll(name) {
+    await this.ready();
+    return this._getAll(name);
+  },
+
+  // merge(stored, record) → record to save, e.g. to keep another tab's
+  // newer change. Resolves with the records as saved.
+  async put(name, records, merge = null) {
+    const saved = await this._tracked(() => this._put(name, records, merge));
+    this.broadcast({ type: 'put', name, records: saved });
+    return saved;
+  },
+
+  async delete(name, id) {
+    await this._tracked(() => this._delete(name, id));
+    this.broadcast({ type: 'delete', name, id });
+  },
+
+  async putAll(name, records) {
+    await this._tracked(() => this._putAll(name, records));
+    this.broadcast({ type: 'putAll', name });
+  },
+
+  async append(name, record) {
+    await this._tracked(() => this._append(name, record));
+    this.broadcast({ type: 'append', name, record });
+  },
+
+  async _tracked(write) {
+    this.pendingWrites++;
+    try {
+      await this.ready();
+      return await write();
+    } finally {
+      this.pendingWrites--;
+    }
+  },
+
+  // ============================================
+  // KEY-VALUE
+  // ============================================
+
+  async _get(key) {
+    if (this.backend !== 'indexeddb') return this._legacyGet(this._scoped(key));
+    try {
+      const value = await this._request('kv', 'readonly', store => store.get(key));
+      return value ?? null;
+    } catch (e) {
+      this._failed('Could not read saved data', e);
+      return null;
+    }
+  },
+
+  async _set(key, value) {
+    if (this.backend !== 'indexeddb') return this._legacySet(this._scoped(key), value);
+    try {
+      await this._request('kv', 'readwrite', store => store.put(value, key));
+    } catch (e) {
+      this._failed('Storage full - progress may be lost', e);
+    }
+  },
+
+  async _remove(key) {
+    if (this.backend !== 'indexeddb') return this._legacyRemove(this._scoped(key));
+    try {
+      await this._request('kv', 'readwrite', store => store.delete(key));
+    } catch (e) {
+      this._failed('Could not delete saved data', e);
+    }
+  },
+
+  // ============================================
+  // COLLECTIONS (cards, revlog, responses)
+  // ============================================
+
+  // Whole collection: {id: record}, or [response] for responses
+  async _getAll(name) {
+    if (this.backend !== 'indexeddb') {
+      await this._blobQueue;
+      return this._readBlob(name);
+    }
+    try {
+      if (name === 'responses') {
+        return await this._request(name, 'readonly', store => store.getAll());
+      }
+      const [keys, values] = await Promise.all([
+        this._request(name, 'readonly', store => store.getAllKeys()),
+        this._request(name, 'readonly', store => store.getAll())
+      ]);
+      const records = {};
+      keys.forEach((key, i) => { records[key] = values[i]; });
+      return records;
+    } catch (e) {
+      this._failed('Could not read saved progress', e);
+      return name === 'responses' ? [] : {};
+    }
+  },
+
+  // Write some records ({id: record}); the rest stay as they are
+  async _put(name, records, merge = null) {
+    const saved = {};
+    if (this.backend !== 'indexeddb') {
+      await this._updateBlob(name, blob => {
+        for (const [id, record] of Object.entries(records)) {
+          blob[id] = saved[id] = merge ? merge(blob[id], record) : record;
+        }
+      });
+      return saved;
+    }
+    await this._write(name, store => {
+      for (const [id, record] of Object.entries(records)) {
+        if (!merge) {
+          store.put(saved[id] = record, id);
+          continue;
+        }
+        store.get(id).onsuccess = (e) => store.put(saved[id] = merge(e.target.result, record), id);
+      }
+    });
+    return saved;
+  },
+
+  async _delete(name, id) {
+    if (this.backend !== 'indexeddb') {
+      return this._updateBlob(name, blob => { delete blob[id]; });
+    }
+    return this._write(name, store => store.delete(id));
+  },
+
+  // Replace the whole collection ({id: record}, or [response])
+  async _putAll(name, records) {
+    if (this.backend !== 'indexeddb') {
+      return this._updateBlob(name, () => (Array.isArray(records) ? [...records] : { ...records }));
+    }
+    return this._write(name, store => {
+      store.clear();
+      if (Array.isArray(records)) {
+        for (const record of records) store.add(record);
+      } else {
+        for (const [id, record] of Object.entries(records)) store.put(record, id);
+      }
+    });
+  },
+
+  // Add one response
+  async _append(name, record) {
+    if (this.backend !== 'indexeddb') {
+      return this._updateBlob(name, blob => { blob.push(record); });
+    }
+    return this._write(name, store => store.add(record));
+  },
+
+  // ============================================
+  // INDEXEDDB
+  // ============================================
+
+  _open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this._dbName(this.profile), this.SCHEMA_VERSION);
+      request.onupgradeneeded = (e) => this._upgrade(request.result, e.oldVersion);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version in another tab upgrade the database
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  // Object stores, by the schema version that added them
+  _upgrade(db, oldVersion) {
+    if (oldVersion < 1) {
+      db.createObjectStore('cards');
+      db.createObjectStore('revlog');
+      db.createObjectStore('responses', { autoIncrement: true });
+      db.createObjectStore('kv');
+    }
+  },
+
+  _dbName(profile) {
+    return `${this.DB_NAME}_${profile}`;
+  },
+
+  // An existing database, or null (opening it this way doesn't create it)
+  _openExisting(name) {
+    return new Promise((resolve) => {
+      const request = indexedDB.open(name);
+      request.onupgradeneeded = () => request.transaction.abort();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+    });
+  },
+
+  // One request in its own transaction; resolves with its result once committed
+  _request(name, mode, makeRequest, db = this.db) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(name, mode);
+      const request = makeRequest(tx.objectStore(name));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error || request.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  },
+
+  // Writes in one transaction (all or nothing); failures are reported, not thrown
+  async _write(name, fill) {
+    try {
+      await new Promise((resolve, reject) => {
+        const tx = this.db.transaction(name, 'readwrite');
+        fill(tx.objectStore(name));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+      });
+    } catch (e) {
+      this._failed('Storage full - progress may be lost', e);
+    }
+  },
+
+  // ============================================
+  // FALLBACK (chrome.storage / localStorage)
+  // ============================================
+
+  _legacyGet(key) {
+    return new Promise((resolve) => {
+      if (this._hasChrome()) {
+        chrome.storage.local.get([key], (result) => resolve(result[key] ?? null));
+      } else {
+        try {
+          const val = localStorage.getItem(key);
+          resolve(val ? JSON.parse(val) : null);
+        } catch (e) {
+          resolve(null);
+        }
+      }
+    });
+  },
+
+  _legacySet(key, value) {
+    return new Promise((resolve) => {
+      if (this._hasChrome()) {
+        chrome.storage.local.set({ [key]: value }, () => {
+          if (chrome.runtime.lastError) {
+            this._failed('Failed to save progress (Chrome storage)', chrome.runtime.lastError);
+          }
+          resolve();
+        });
+      } else {
+        try {
+          localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+          this._failed('Storage full - progress may be lost', e);
+        }
+        resolve();
+      }
+    });
+  },
+
+  _legacyRemove(key) {
+    return new Promise((resolve) => {
+      if (this._hasChrome()) {
+        chrome.storage.local.remove(key, resolve);
+      } else {
+        try {
+          localStorage.removeItem(key);
+        } catch (e) {}
+        resolve();
+      }
+    });
+  },
+
+  // Every key saved in chrome.storage or localStorage
+  _legacyKeys() {
+    return new Promise((resolve) => {
+      if (this._hasChrome()) {
+        chrome.storage.local.get(null, (items) => resolve(Object.keys(items || {})));
+      } else {
+        try {
+          resolve(Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)));
+        } catch (e) {
+          resolve([]);
+        }
+      }
+    });
+  },
+
+  // Collection blob as saved now (another tab may have written since)
+  async _readBlob(name) {
+    const saved = await this._legacyGet(this._scoped(this.COLLECTIONS[name]));
+    return name === 'responses' ? (saved?.responses || []) : (saved || {});
+  },
+
+  // Read, change and write back a blob, one update at a time: updates from
+  // this tab and others add up instead of replacing each other.
+  // update(blob) changes it in place, or returns the new value.
+  _updateBlob(name, update) {
+    const run = this._blobQueue.then(async () => {
+      const blob = await this._readBlob(name);
+      await this._writeBlob(name, update(blob) ?? blob);
+    });
+    this._blobQueue = run.catch(() => {});
+    return run;
+  },
+
+  _writeBlob(name, value) {
+    if (name === 'responses') {
+      // Keep the latest responses only, as there's little room
+      value = { responses: value.slice(-this.FALLBACK_RESPONSES), lastUpdated: new Date().toISOString() };
+    }
+    return this._legacySet(this._scoped(this.COLLECTIONS[name]), value);
+  },
+
+  // Fallback key of the active profile
+  _scoped(key) {
+    return `${key}:${this.profile}`;
+  },
+
+  // ============================================
+  // MIGRATION
+  // ============================================
+
+  // Bring saved data up to SCHEMA_VERSION, one version at a time
+  async _migrate() {
+    const schema = await this._get(this.SCHEMA_KEY);
+    const from = schema?.version || 0;
+    if (from >= this.SCHEMA_VERSION) return;
+
+    // Data saved before profiles belongs to the default profile
+    if (this.profile === this.DEFAULT_PROFILE) {
+      if (from < 1) await this._migrateBlobs();
+      if (from < 2) await this._migrateUnscoped();
+    }
+    // Version 2: every profile has its own analytics user id
+    if (!(await this._get(this.USER_KEY))) await this._set(this.USER_KEY, this._newId('u'));
+
+    await this._set(this.SCHEMA_KEY, { version: this.SCHEMA_VERSION, migratedAt: new Date().toISOString() });
+  },
+
+  // Version 1: the analytics user id gets its own key, and in IndexedDB
+  // the blobs become records. The blobs are removed once copied, which
+  // frees the localStorage quota.
+  async _migrateBlobs() {
+    const analytics = await this._legacyGet(this.COLLECTIONS.responses);
+    if (analytics?.userId) await this._set(this.USER_KEY, analytics.userId);
+    if (this.backend !== 'indexeddb') return;
+
+    const moved = [];
+    for (const [name, key] of Object.entries(this.COLLECTIONS)) {
+      const saved = name === 'responses' ? analytics : await this._legacyGet(key);
+      if (!saved) continue;
+      await this._putAll(name, name === 'responses' ? (saved.responses || []) : saved);
+      moved.push(key);
+    }
+    for (const key of this.LEGACY_KEYS) {
+      const saved = await this._legacyGet(key);
+      if (saved === null) continue;
+      await this._set(key, saved);
+      moved.push(key);
+    }
+
+    // Only drop the blobs if everything arrived
+    const cards = await this._getAll('cards');
+    const expected = await this._legacyGet(this.COLLECTIONS.cards);
+    if (expected && Object.keys(cards).length < Object.keys(expected).length) {
+      console.warn('Storage migration incomplete, keeping old data');
+      return;
+    }
+    for (const key of moved) await this._legacyRemove(key);
+    if (moved.length > 0) console.log(`Storage: moved ${moved.join(', ')} to IndexedDB`);
+  },
+
+  // Version 2: profiles. What was saved outside a profile (the version 1
+  // database, or the fallback keys) and the TTS settings move into it.
+  async _migrateUnscoped() {
+    if (this.backend === 'indexeddb') {
+      await this._migrateDatabase();
+    } else {
+      for (const key of await this._legacyKeys()) {
+        if (!key.startsWith(this.KEY_PREFIX) || key.includes(':') || key === this.PROFILES_KEY) continue;
+        await this._legacySet(this._scoped(key), await this._legacyGet(key));
+        await this._legacyRemove(key);
+      }
+    }
+
+    try {
+      const tts = localStorage.getItem(this.TTS_KEY);
+      if (tts) {
+        await this._set(this.TTS_KEY, JSON.parse(tts));
+        localStorage.removeItem(this.TTS_KEY);
+      }
+    } catch (e) {}
+  },
+
+  // The version 1 database, store by store; deleted once all records arrived
+  async _migrateDatabase() {
+    const old = await this._openExisting(this.DB_NAME);
+    if (!old) return;
+
+    let complete = true;
+    for (const name of ['cards', 'revlog', 'responses', 'kv']) {
+      const [keys, values] = await Promise.all([
+        this._request(name, 'readonly', store => store.getAllKeys(), old),
+        this._request(name, 'readonly', store => store.getAll(), old)
+      ]);
+      await this._write(name, store => {
+        if (name === 'responses') {
+          store.clear();
+          for (const value of values) store.add(value);
+        } else {
+          values.forEach((value, i) => store.put(value, keys[i]));
+        }
+      });
+      const count = await this._request(name, 'readonly', store => store.count());
+      if (count < values.length) complete = false;
+    }
+    old.close();
+
+    if (!complete) {
+      console.warn('Storage migration incomplete, keeping old data');
+      return;
+    }
+    indexedDB.deleteDatabase(this.DB_NAME);
+    console.log(`Storage: moved ${this.DB_NAME} to profile ${this.profile}`);
+  },
+
+  // ============================================
+  // OTHER TABS
+  // ============================================
+
+  // Listen to what other tabs of this profile save: {type, tab, ...} with
+  // type 'put' {name, records}, 'delete' {name, id}, 'putAll' {name} (read
+  // it again), 'append' {name, record}, 'set' {key, value}, or the app's own
+  subscribe(listener) {
+    this._listeners.push(listener);
+  },
+
+  broadcast(message) {
+    if (!this.profile || typeof window === 'undefined') return;
+    message = { ...message, tab: this.tabId };
+    if (this._channel) {
+      this._channel.postMessage(message);
+      return;
+    }
+    if (message.records && Object.keys(message.records).length > this.BROADCAST_RECORDS) {
+      message = { type: 'putAll', name: message.name, tab: this.tabId };
+    }
+    try {
+      // A new value each time, or no storage event
+      localStorage.setItem(this._scoped(this.BROADCAST_KEY), JSON.stringify({ ...message, sent: Math.random() }));
+    } catch (e) {}
+  },
+
+  _listen() {
+    if (typeof window === 'undefined') return;
+    const receive = (message) => {
+      if (!message || message.tab === this.tabId) return;
+      for (const listener of this._listeners) listener(message);
+    };
+    if (typeof BroadcastChannel !== 'undefined') {
+      this._channel = new BroadcastChannel(`${this.DB_NAME}:${this.profile}`);
+      this._channel.onmessage = (e) => receive(e.data);
+    } else {
+      window.addEventListener('storage', (e) => {
+        if (e.key === this._scoped(this.BROADCAST_KEY) && e.newValue) receive(JSON.parse(e.newValue));
+      });
+    }
+  },
+
+  // ============================================
+  // PROFILES
+  // ============================================
+
+  // The profile list, created with the default profile on first use
+  async getProfiles() {
+    const saved = await this._legacyGet(this.PROFILES_KEY);
+    if (saved?.profiles?.length) return saved;
+
+    const registry = {
+      active: this.DEFAULT_PROFILE,
+      profiles: [{ id: this.DEFAULT_PROFILE, name: 'Standard', createdAt: new Date().toISOString() }]
+    };
+    await this._legacySet(this.PROFILES_KEY, registry);
+    return registry;
+  },
+
+  async createProfile(name) {
+    const registry = await this.getProfiles();
+    const profile = {
+      id: this._newId('p'),
+      name: this._profileName(registry, name),
+      createdAt: new Date().toISOString()
+    };
+    registry.profiles.push(profile);
+    await this._legacySet(this.PROFILES_KEY, registry);
+    return profile;
+  },
+
+  async renameProfile(id, name) {
+    const registry = await this.getProfiles();
+    const profile = this._findProfile(registry, id);
+    profile.name = this._profileName(registry, name, id);
+    await this._legacySet(this.PROFILES_KEY, registry);
+    return profile;
+  },
+
+  // Takes effect on the next page load
+  async switchProfile(id) {
+    const registry = await this.getProfiles();
+    registry.active = this._findProfile(registry, id).id;
+    await this._legacySet(this.PROFILES_KEY, registry);
+  },
+
+  // Delete a profile with all its data. Deleting the active one switches to
+  // another (reload the page after); the last one can't be deleted.
+  async deleteProfile(id) {
+    const registry = await this.getProfiles();
+    this._findProfile(registry, id);
+    if (registry.profiles.length === 1) throw new Error('Das letzte Profil kann nicht gelöscht werden.');
+
+    registry.profiles = registry.profiles.filter(p => p.id !== id);
+    if (registry.active === id) registry.active = registry.profiles[0].id;
+    await this._legacySet(this.PROFILES_KEY, registry);
+
+    if (id === this.profile && this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    if (typeof indexedDB !== 'undefined') indexedDB.deleteDatabase(this._dbName(id));
+    for (const key of await this._legacyKeys()) {
+      if (key.endsWith(`:${id}`)) await this._legacyRemove(key);
+    }
+  },
+
+  _findProfile(registry, id) {
+    const profile = registry.profiles.find(p => p.id === id);
+    if (!profile) throw new Error('Dieses Profil gibt es nicht.');
+    return profile;
+  },
+
+  // Trimmed name, unique among the profiles (except the one being renamed)
+  _profileName(registry, name, id = null) {
+    name = String(name ?? '').trim();
+    if (!name) throw new Error('Bitte einen Namen eingeben.');
+    if (name.length > 40) throw new Error('Der Name darf höchstens 40 Zeichen lang sein.');
+    if (registry.profiles.some(p => p.id !== id && p.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`Es gibt schon ein Profil „${name}“.`);
+    }
+    return name;
+  },
+
+  _newId(prefix) {
+    return prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  },
+
+  // ============================================
+  // ERRORS
+  // ============================================
+
+  // Log and show a storage failure (non-blocking); the app carries on
+  _failed(msg, error) {
+    console.error('STORAGE ERROR:', msg, error?.message || error);
+    if (typeof document === 'undefined') return;
+    const indicator = document.getElementById('saveIndicator');
+    if (indicator) {
+      indicator.innerHTML = '<span style="color:#dc3545;">Storage Error</span>';
+      indicator.classList.add('show');
+      setTimeout(() => indicator.classList.remove('show'), 5000);
+    }
+  }
+};
+
+// Export
+if (typeof module !== 'undefined') {
+  module.exports = FSI_Storage;
+}
@@ -0,0 +1,237 @@
+/**
+ * Rhodes German - Grammar Tables
+ * Shared by the error classifier (fsi-error.js) and the main app
+ */
+
+const GermanGrammar = {
+  // Article patterns for case detection
+  articles: {
+    der: { case: 'nominative/dative/genitive', gender: 'masculine/feminine/plural' },
+    die: { case: 'nominative/accusative', gender: 'feminine/plural' },
+    das: { case: 'nominative/accusative', gender: 'neuter' },
+    den: { case: 'accusative/dative', gender: 'masculine/plural' },
+    dem: { case: 'dative', gender: 'masculine/neuter' },
+    des: { case: 'genitive', gender: 'masculine/neuter' },
+    ein: { case: 'nominative/accusative', gender: 'masculine/neuter' },
+    eine: { case: 'nominative/accusative', gender: 'feminine/plural' },
+    einer: { case: 'genitive/dative', gender: 'feminine' },
+    eines: { case: 'genitive', gender: 'masculine/neuter' },
+    einem: { case: 'dative', gender: 'masculine/neuter' },
+    einen: { case: 'accusative', gender: 'masculine' }
+  },
+
+  // Determiners declined like ein (possessives, kein) or like der (dieser, jeder...)
+  einWords: ['ein', 'kein', 'mein', 'dein', 'sein', 'ihr', 'unser', 'euer', 'eur'],
+  derWords: ['dies', 'jed', 'jen', 'welch', 'manch', 'solch'],
+
+  // Case governed by prepositions ('two-way' = accusative for motion, dative for location)
+  prepositionCases: {
+    mit: 'dative', nach: 'dative', bei: 'dative', seit: 'dative', von: 'dative',
+    zu: 'dative', aus: 'dative', gegenüber: 'dative', außer: 'dative',
+    durch: 'accusative', für: 'accusative', gegen: 'accusative', ohne: 'accusative', um: 'accusative',
+    wegen: 'genitive', trotz: 'genitive', während: 'genitive', statt: 'genitive',
+    innerhalb: 'genitive', außerhalb: 'genitive',
+    an: 'two-way', auf: 'two-way', hinter: 'two-way', in: 'two-way', neben: 'two-way',
+    über: 'two-way', unter: 'two-way', vor: 'two-way', zwischen: 'two-way'
+  },
+
+  // Common verb conjugation patterns
+  verbEndings: {
+    present: {
+      ich: 'e', du: 'st', 'er/sie/es': 't',
+      wir: 'en', ihr: 't', 'sie/Sie': 'en'
+    }
+  },
+
+  // Irregular present tense (person order as in verbEndings.present)
+  paradigms: {
+    sein: ['bin', 'bist', 'ist', 'sind', 'seid', 'sind'],
+    haben: ['habe', 'hast', 'hat', 'haben', 'habt', 'haben'],
+    werden: ['werde', 'wirst', 'wird', 'werden', 'werdet', 'werden'],
+    können: ['kann', 'kannst', 'kann', 'können', 'könnt', 'können'],
+    müssen: ['muss', 'musst', 'muss', 'müssen', 'müsst', 'müssen'],
+    wollen: ['will', 'willst', 'will', 'wollen', 'wollt', 'wollen'],
+    sollen: ['soll', 'sollst', 'soll', 'sollen', 'sollt', 'sollen'],
+    dürfen: ['darf', 'darfst', 'darf', 'dürfen', 'dürft', 'dürfen'],
+    mögen: ['mag', 'magst', 'mag', 'mögen', 'mögt', 'mögen'],
+    möchten: ['möchte', 'möchtest', 'möchte', 'möchten', 'möchtet', 'möchten'],
+    wissen: ['weiß', 'weißt', 'weiß', 'wissen', 'wisst', 'wissen']
+  },
+
+  // Past forms of the Perfekt/Plusquamperfekt auxiliaries
+  auxiliaryPast: {
+    sein: ['war', 'warst', 'waren', 'wart'],
+    haben: ['hatte', 'hattest', 'hatten', 'hattet']
+  },
+
+  // ===========================================
+  // CONJUGATION
+  // ===========================================
+
+  // Split a finite verb into stem and ending: arbeitest → {stem: 'arbeit', ending: 'est'}
+  splitVerb(word) {
+    for (const ending of ['est', 'et', 'st', 'en', 'e', 't', 'n']) {
+      if (word.length > ending.length + 1 && word.endsWith(ending)) {
+        return { stem: word.slice(0, -ending.length), ending };
+      }
+    }
+    return null;
+  },
+
+  // Persons a present tense ending can express ('t' → er/sie/es and ihr)
+  personsForEnding(ending) {
+    const base = { est: 'st', et: 't', n: 'en' }[ending] || ending;
+    const present = this.verbEndings.present;
+    return Object.keys(present).filter(person => present[person] === base);
+  },
+
+  // Does a person key include the subject pronoun? ('er/sie/es' includes 'sie', 'man')
+  personMatches(person, pronoun) {
+    return person.toLowerCase().split('/').includes(pronoun === 'man' ? 'er' : pronoun);
+  },
+
+  // Analyze a present tense form: {infinitive, persons, stem, ending}
+  analyzeVerb(word) {
+    const persons = Object.keys(this.verbEndings.present);
+    for (const [infinitive, forms] of Object.entries(this.paradigms)) {
+      const matching = persons.filter((p, i) => forms[i] === word);
+      if (matching.length > 0) return { infinitive, persons: matching, irregular: true };
+    }
+    const split = this.splitVerb(word);
+    if (!split) return null;
+    return {
+      infinitive: split.stem + (/e[lr]$/.test(split.stem) ? 'n' : 'en'),
+      persons: this.personsForEnding(split.ending),
+      stem: split.stem,
+      ending: split.ending
+    };
+  },
+
+  // Which Perfekt auxiliary a finite form belongs to ('haben', 'sein' or null)
+  auxiliaryOf(word) {
+    for (const aux of ['haben', 'sein']) {
+      if (this.paradigms[aux].includes(word) || this.auxiliaryPast[aux].includes(word)) return aux;
+    }
+    return null;
+  },
+
+  // Strong verb stem vowel change: fahr/fähr, geb/gib, seh/sieh, lauf/läuf, stoß/stöß
+  isStemChange(plainStem, changedStem) {
+    const changes = [['a', 'ä'], ['au', 'äu'], ['o', 'ö'], ['e', 'i'], ['e', 'ie']];
+    return changes.some(([from, to]) => plainStem.replace(from, to) === changedStem);
+  },
+
+  // ===========================================
+  // WORD ORDER
+  // ===========================================
+
+  // Conjunctions that send the finite verb to the end of their clause
+  subordinators: [
+    'weil', 'dass', 'ob', 'wenn', 'als', 'obwohl', 'bevor', 'nachdem', 'sobald',
+    'bis', 'während', 'damit', 'da', 'falls', 'seitdem', 'sodass', 'ehe'
+  ],
+
+  // Question words and relative pronouns open a verb-final clause after a comma
+  clauseOpeners: [
+    'wo', 'wann', 'was', 'wer', 'wie', 'warum', 'wohin', 'woher', 'wen', 'wem',
+    'der', 'die', 'das', 'den', 'dem', 'dessen', 'deren', 'denen',
+    'welcher', 'welche', 'welches', 'welchen', 'welchem'
+  ],
+
+  // Coordinating conjunctions don't count as a position (und, aber, ...)
+  coordinators: ['und', 'aber', 'oder', 'denn', 'sondern'],
+
+  subjectPronouns: ['ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'man'],
+
+  // Finite forms of auxiliaries, modals and the most frequent irregular verbs
+  finiteVerbs: [
+    'bin', 'bist', 'ist', 'sind', 'seid', 'war', 'warst', 'waren', 'wart', 'sei', 'seien', 'wäre', 'wären', 'wärst',
+    'habe', 'hast', 'hat', 'haben', 'habt', 'hatte', 'hattest', 'hatten', 'hattet', 'hätte', 'hätten', 'hättest',
+    'werde', 'wirst', 'wird', 'werden', 'werdet', 'wurde', 'wurdest', 'wurden', 'würde', 'würdest', 'würden',
+    'kann', 'kannst', 'können', 'könnt', 'konnte', 'konnten', 'könnte', 'könnten',
+    'muss', 'musst', 'müssen', 'müsst', 'musste', 'mussten', 'müsste', 'müssten',
+    'will', 'willst', 'wollen', 'wollt', 'wollte', 'wollten',
+    'soll', 'sollst', 'sollen', 'sollt', 'sollte', 'sollten',
+    'darf', 'darfst', 'dürfen', 'dürft', 'durfte', 'durften', 'dürfte',
+    'mag', 'magst', 'mögen', 'mochte', 'möchte', 'möchtest', 'möchten', 'möchtet',
+    'gibt', 'geht', 'gehe', 'kommt', 'komme', 'kommst', 'weiß', 'weißt'
+  ],
+
+  // Separable prefixes that stand alone at the end of a main clause
+  separablePrefixes: [
+    'ab', 'an', 'auf', 'aus', 'ein', 'mit', 'nach', 'vor', 'weg', 'zu', 'zurück',
+    'los', 'fest', 'her', 'hin', 'fern', 'statt', 'teil', 'vorbei', 'zusammen'
+  ],
+
+  isFiniteVerb(word) {
+    return this.finiteVerbs.includes(word);
+  },
+
+  // Past participle: ge-...-t/-en, with separable or inseparable prefix, or -iert
+  isParticiple(word) {
+    return /^(ab|an|auf|aus|ein|mit|nach|vor|weg|zu|zurück|los|fest)?ge.{2,}(t|en)$/.test(word) ||
+      /^(be|emp|ent|er|ge|miss|ver|zer|über|unter)[a-zäöüß]{2,}(t|en)$/.test(word) ||
+      /iert$/.test(word);
+  },
+
+  isInfinitive(word) {
+    return /[a-zäöüß]{2,}(en|ern|eln)$/.test(word) && !this.articles[word];
+  },
+
+  // ===========================================
+  // CASE
+  // ===========================================
+
+  // Analyze a determiner: {stem, cases} - meinem → {stem: 'mein', cases: ['dative']}
+  determiner(word) {
+    const w = word.toLowerCase();
+    if (['der', 'die', 'das', 'den', 'dem', 'des'].includes(w)) {
+      return { stem: 'd', cases: this.articles[w].case.split('/') };
+    }
+    for (const stem of this.einWords) {
+      const s = stem.toLowerCase();
+      if (!w.startsWith(s)) continue;
+      const ending = w.slice(s.length);
+      const article = this.articles['ein' + ending];
+      // euer drops its e when declined (eure, euren)
+      if (article && (s !== 'euer' || ending === '')) {
+        const cases = article.case.split('/');
+        // Possessives and kein have a plural: meinen Eltern is dative
+        if (s !== 'ein' && ending === 'en') cases.push('dative');
+        return { stem: s === 'eur' ? 'euer' : s, cases };
+      }
+    }
+    for (const stem of this.derWords) {
+      if (!w.startsWith(stem)) continue;
+      const article = { er: 'der', e: 'die', en: 'den', em: 'dem' }[w.slice(stem.length)];
+      if (article) return { stem, cases: this.articles[article].case.split('/') };
+      if (w.slice(stem.length) === 'es') return { stem, cases: ['nominative', 'accusative', 'genitive'] };
+    }
+    return null;
+  },
+
+  // Case a determiner has after a preposition (null if the preposition doesn't decide)
+  caseAfterPreposition(preposition, cases) {
+    const governed = this.prepositionCases[preposition];
+    if (!governed) return null;
+    if (governed !== 'two-way') return governed;
+    const options = cases.filter(c => c === 'accusative' || c === 'dative');
+    return options.length === 1 ? options[0] : null;
+  },
+
+  // Detect case from sentence context
+  detectCase(sentence) {
+    const lower = sentence.toLowerCase();
+    for (const [article, info] of Object.entries(this.articles)) {
+      if (lower.includes(article + ' ')) {
+        return info.case;
+      }
+    }
+    return null;
+  }
+};
+
+// Export
+if (typeof module !== 'undefined') {
+  module.exports = GermanGrammar;
+}
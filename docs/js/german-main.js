@@ -148,18 +148,17 @@ const TTS = {
     CONFIG.tts.apiKey = apiKey;
     CONFIG.tts.voiceId = voiceId;
     CONFIG.tts.enabled = true;
-    localStorage.setItem('rhodes_german_tts', JSON.stringify({ apiKey, voiceId }));
+    FSI_Storage.set(FSI_Storage.TTS_KEY, { apiKey, voiceId });
   },
 
-  // Load saved TTS config
-  loadConfig() {
-    try {
-      const saved = localStorage.getItem('rhodes_german_tts');
-      if (saved) {
-        const { apiKey, voiceId } = JSON.parse(saved);
-        this.configure(apiKey, voiceId);
-      }
-    } catch (e) {}
+  // Load the profile's TTS config
+  async loadConfig() {
+    const saved = await FSI_Storage.get(FSI_Storage.TTS_KEY);
+    if (saved) {
+      CONFIG.tts.apiKey = saved.apiKey;
+      CONFIG.tts.voiceId = saved.voiceId;
+      CONFIG.tts.enabled = true;
+    }
   }
 };
 
@@ -174,8 +173,10 @@ let currentDrillIndex = 0;
 let currentDrills = [];
 let register = 'formal';  // 'formal' (Sie) or 'informal' (du)
 let drillDirection = 'en-de';  // 'en-de' (English→German) or 'de-en' (German→English)
+let prefs = { register: 'formal', direction: 'en-de' };  // The profile's defaults (SRS cards bring their own)
 let sessionCorrect = 0;
 let sessionTotal = 0;
+let remediationSession = false;  // SRS session of leeches in remediation only
 
 // Unit titles (German)
 const UNIT_TITLES = {
@@ -195,15 +196,48 @@ const UNIT_TITLES = {
 // ===========================================
 
 document.addEventListener('DOMContentLoaded', async () => {
-  TTS.loadConfig();
-  await loadDrills();
+  const savedSession = loadSession();
+  await TTS.loadConfig();
+  await loadPrefs();
+  renderProfiles();
+  // Saved cards first: creating cards for the drills adds to them
   await FSI_SRS.init();
+  await loadDrills();
   updateStatsDisplay();
 
+  // Other tabs of this profile: who is drilling, and their saved changes
+  FSI_Storage.subscribe(onOtherTab);
+  FSI_Storage.broadcast({ type: 'hello' });
+  window.addEventListener('pagehide', () => FSI_Storage.broadcast({ type: 'session', active: false }));
+  window.addEventListener('beforeunload', (e) => {
+    if (FSI_Storage.pendingWrites > 0) {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
+  resumeSession(savedSession);
+
+  // Signed in: sync in the background, refresh when changes come in
+  FSI_Auth.onChange = () => {
+    updateStatsDisplay();
+    renderSync();
+  };
+  await FSI_Auth.init();
+
   // Enter key submits
   document.getElementById('answer-input').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') checkAnswer();
   });
+
+  // Ctrl+Z (⌘Z) undoes the last answer, unless there's typing to undo
+  document.addEventListener('keydown', (e) => {
+    if (e.key.toLowerCase() !== 'z' || !(e.ctrlKey || e.metaKey) || e.shiftKey) return;
+    if (document.getElementById('drill-screen').style.display !== 'block') return;
+    const answered = document.getElementById('feedback').classList.contains('show');
+    if (!answered && document.getElementById('answer-input').value) return;
+    e.preventDefault();
+    undoAnswer();
+  });
 });
 
 async function loadDrills() {
@@ -212,13 +246,9 @@ async function loadDrills() {
     const response = await fetch('data/drills.json');
     drillsData = await response.json();
     console.log(`Loaded ${drillsData.total_drills} drills`);
+    await loadLexicon();
 
-    // Initialize SRS cards for all drills
-    FSI_SRS.initializeCards(drillsData.drills.map(d => ({
-      id: d.id,
-      unit: d.unit,
-      commonality: 0.5
-    })));
+    initializeCards();
     FSI_SRS.loadDrillMeta(drillsData);
 
     showScreen('landing');
@@ -228,6 +258,28 @@ async function loadDrills() {
   }
 }
 
+// POS lexicon for pattern tagging; without it the tagger falls back to word shape
+async function loadLexicon() {
+  try {
+    const response = await fetch('data/pos-lexicon.json');
+    GermanPOS.lexicon = (await response.json()).words;
+  } catch (e) {
+    console.warn('POS lexicon not loaded:', e);
+  }
+}
+
+// SRS cards for every drill variant (direction, and register where the forms differ)
+function initializeCards() {
+  FSI_SRS.initializeCards(drillsData.drills.map(d => ({
+    id: d.id,
+    unit: d.unit,
+    category: d.category,
+    pos_pattern: GermanPOS.pattern(d.german_formal),
+    commonality: d.commonality ?? 0.5,
+    registers_differ: d.german_formal !== d.german_informal
+  })));
+}
+
 // ===========================================
 // SCREEN NAVIGATION
 // ===========================================
@@ -237,6 +289,9 @@ function showScreen(screenId) {
     document.getElementById(id).style.display = 'none';
   });
   document.getElementById(screenId).style.display = 'block';
+
+  if (screenId !== 'drill-screen') clearSession();
+  FSI_Storage.broadcast({ type: 'session', active: screenId === 'drill-screen' });
 }
 
 function showLanding() {
@@ -286,30 +341,55 @@ function renderUnitGrid() {
 // SRS MODE
 // ===========================================
 
-function startSRS() {
+// resume: {queue, card, correct, total} to go on with a session after a reload
+function startSRS(resume = null) {
   currentMode = 'srs';
-  FSI_SRS.buildSessionQueue(20);
+  remediationSession = false;
+  if (resume) FSI_SRS.sessionQueue = resume.queue;
+  else FSI_SRS.buildSessionQueue(20);
 
-  if (FSI_SRS.sessionQueue.length === 0) {
+  if (!resume && FSI_SRS.sessionQueue.length === 0) {
     alert('Keine Karten fällig! Kommen Sie später zurück.');
     return;
   }
 
   showScreen('drill-screen');
   document.getElementById('drill-unit-title').textContent = 'SRS-Modus';
-  sessionCorrect = 0;
-  sessionTotal = 0;
-  loadNextDrill();
+  document.getElementById('card-actions').style.display = '';
+  sessionCorrect = resume?.correct ?? 0;
+  sessionTotal = resume?.total ?? 0;
+  loadNextDrill(resume?.card);
+}
+
+// Leeches in remediation, due or not; a correct answer returns a card to the normal queue
+function startRemediation(resume = null) {
+  currentMode = 'srs';
+  remediationSession = true;
+  if (resume) FSI_SRS.sessionQueue = resume.queue;
+  else FSI_SRS.buildRemediationQueue(20);
+
+  if (FSI_SRS.sessionQueue.length === 0 && !resume?.card) {
+    alert('Keine Problemkarten zum Üben.');
+    return;
+  }
+
+  showScreen('drill-screen');
+  document.getElementById('drill-unit-title').textContent = 'Problemkarten';
+  document.getElementById('card-actions').style.display = '';
+  sessionCorrect = resume?.correct ?? 0;
+  sessionTotal = resume?.total ?? 0;
+  loadNextDrill(resume?.card);
 }
 
 // ===========================================
 // LINEAR MODE
 // ===========================================
 
-function startLinear(unit) {
+// resume: {index, correct, total} to go on after a reload
+function startLinear(unit, resume = null) {
   currentMode = 'linear';
   currentUnit = unit;
-  currentDrillIndex = 0;
+  currentDrillIndex = resume?.index ?? 0;
   currentDrills = drillsData.drills.filter(d => d.unit === unit);
 
   if (currentDrills.length === 0) {
@@ -319,8 +399,10 @@ function startLinear(unit) {
 
   showScreen('drill-screen');
   document.getElementById('drill-unit-title').textContent = `Einheit ${unit}: ${UNIT_TITLES[unit] || ''}`;
-  sessionCorrect = 0;
-  sessionTotal = 0;
+  document.getElementById('card-actions').style.display = 'none';
+  sessionCorrect = resume?.correct ?? 0;
+  sessionTotal = resume?.total ?? 0;
+  applyPrefs();
   loadNextDrill();
 }
 
@@ -329,18 +411,27 @@ function startLinear(unit) {
 // ===========================================
 
 let currentDrill = null;
+let currentCard = null;  // SRS: the card being reviewed
 
-function loadNextDrill() {
+function loadNextDrill(nextCard = null) {
   // Get next drill based on mode
   if (currentMode === 'srs') {
-    const card = FSI_SRS.getNextCard();
+    // A remediation session ends with its queue
+    const card = nextCard || (remediationSession ? FSI_SRS.sessionQueue.shift() : FSI_SRS.getNextCard());
     if (!card) {
       alert('Sitzung abgeschlossen! Gut gemacht!');
       showLanding();
       return;
     }
-    currentDrill = drillsData.drills.find(d => d.id === card.id);
+    currentCard = card;
+    currentDrill = drillsData.drills.find(d => d.id === card.drill_id);
+
+    // The card decides what is drilled: its direction and register
+    setDirection(card.direction);
+    if (card.register) setRegister(card.register);
+    updateFlagButton(card);
   } else {
+    currentCard = null;
     if (currentDrillIndex >= currentDrills.length) {
       alert(`Einheit ${currentUnit} abgeschlossen! 🎉`);
       showLanding();
@@ -397,6 +488,7 @@ function loadNextDrill() {
 
   // Start SRS timer
   FSI_SRS.startPromptTimer();
+  saveSession(false);
 }
 
 function checkAnswer() {
@@ -406,36 +498,56 @@ function checkAnswer() {
   if (!userAnswer) return;
 
   // Get expected answer based on direction and register
-  let expected;
-  if (drillDirection === 'de-en') {
-    // German→English: expect English answer
-    expected = currentDrill.english;
-  } else {
-    // English→German: expect German answer
-    expected = register === 'formal'
-      ? currentDrill.german_formal
-      : currentDrill.german_informal;
-  }
-
-  // Normalize for comparison
-  const normalize = (s) => s.toLowerCase()
-    .replace(/[.,!?;:]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  const isCorrect = normalize(userAnswer) === normalize(expected);
+  const field = drillDirection === 'de-en'
+    ? 'english'  // German→English: expect English answer
+    : (register === 'formal' ? 'german_formal' : 'german_informal');
+  const otherField = register === 'formal' ? 'german_informal' : 'german_formal';
+  const expected = currentDrill[field];
+
+  // Accepted answers: inline alternatives plus the drill's optional accepted list
+  const acceptedAnswers = f => [
+    ...FSI_Error.expandAnswers(currentDrill[f]),
+    ...(currentDrill.accepted?.[f] || [])
+  ];
+
+  // Classify against the closest answer (German orthography rules only for German answers);
+  // German answers are also checked against the other register
+  const result = FSI_Error.classifyRegister(
+    userAnswer,
+    acceptedAnswers(field),
+    drillDirection === 'de-en' ? [] : acceptedAnswers(otherField),
+    register,
+    { lang: drillDirection === 'de-en' ? 'en' : 'de' }
+  );
+  // Rating from the errors; correct answers are then graded by speed
+  const responseTimeMs = FSI_SRS.getResponseTime();
+  const grade = FSI_SRS.timedRating(
+    FSI_SRS.errorToRating(result.errors),
+    responseTimeMs,
+    result.expected
+  );
 
   // Show feedback
   const feedback = document.getElementById('feedback');
   const feedbackText = document.getElementById('feedback-text');
+  const feedbackDetail = document.getElementById('feedback-detail');
   const expectedAnswer = document.getElementById('expected-answer');
 
-  if (isCorrect) {
+  const answerDiff = document.getElementById('answer-diff');
+
+  if (feedbackDetail) {
+    feedbackDetail.innerHTML = result.errors.map(formatError).join('<br>');
+  }
+  if (answerDiff) {
+    answerDiff.innerHTML = result.diff ? renderDiff(result.diff) : '';
+  }
+
+  if (result.correct) {
     AudioFeedback.correct();
     input.className = 'correct';
     feedback.className = 'feedback show correct';
-    feedbackText.textContent = '✓ Richtig!';
-    expectedAnswer.textContent = '';
+    feedbackText.textContent = result.warning ? '✓ Richtig – achten Sie auf die Schreibung' : '✓ Richtig!';
+    expectedAnswer.textContent = result.warning ? result.expected : '';
     sessionCorrect++;
 
     // TTS: speak the correct answer (German for both modes)
@@ -444,23 +556,54 @@ function checkAnswer() {
       const germanText = register === 'formal' ? currentDrill.german_formal : currentDrill.german_informal;
       TTS.speak(germanText);
     } else {
-      TTS.speak(expected);
-    }
-
-    // SRS: process as correct
-    if (currentMode === 'srs') {
-      FSI_SRS.processReview(currentDrill.id, FSI_SRS.Rating.Good);
+      TTS.speak(result.expected);
     }
+  } else if (result.registerMismatch) {
+    AudioFeedback.incorrect();
+    input.className = 'register';
+    feedback.className = 'feedback show register';
+    feedbackText.textContent = register === 'formal'
+      ? '≈ Richtig, aber mit „du“ – hier ist „Sie“ gefragt'
+      : '≈ Richtig, aber mit „Sie“ – hier ist „du“ gefragt';
+    expectedAnswer.textContent = `Erwartet: ${expected}`;
   } else {
     AudioFeedback.incorrect();
     input.className = 'incorrect';
     feedback.className = 'feedback show incorrect';
     feedbackText.textContent = '✗ Nicht ganz richtig';
     expectedAnswer.textContent = `Erwartet: ${expected}`;
+  }
+
+  // Analytics: capture card state before the review changes it
+  const cardId = currentCardId();
+  const card = FSI_SRS.cards[cardId];
+  FSI_SRS.logResponse({
+    cardId: cardId,
+    unit: currentDrill.unit,
+    drillType: currentDrill.type,
+    promptEn: currentDrill.english,
+    expected: result.expected,
+    userAnswer: userAnswer,
+    responseTimeMs: responseTimeMs,
+    correct: result.correct,
+    grade: grade,
+    registerMismatch: !!result.registerMismatch,
+    errors: result.errors.map(e => ({ type: e.type, subtype: e.subtype, detail: e.feedback })),
+    mode: currentMode,
+    register: register,
+    direction: drillDirection,
+    cardState: card?.state,
+    cardReps: card?.reps,
+    cardLapses: card?.lapses
+  });
 
-    // SRS: process as incorrect
-    if (currentMode === 'srs') {
-      FSI_SRS.processReview(currentDrill.id, FSI_SRS.Rating.Again);
+  // SRS: schedule from the error-derived rating
+  if (currentMode === 'srs') {
+    const review = FSI_SRS.processReview(cardId, grade, result.correct ? null : result.primaryError);
+    if (review?.leech) {
+      feedbackText.textContent += review.card.suspended
+        ? ' · Problemkarte: ausgesetzt'
+        : ' · Problemkarte: kommt in die Nachübung';
     }
   }
 
@@ -474,15 +617,230 @@ function checkAnswer() {
     loadNextDrill();
   };
 
+  saveSession(true);
   updateStatsDisplay();
 }
 
+// ===========================================
+// SESSION ACROSS RELOADS (sessionStorage, this tab only)
+// ===========================================
+
+const SESSION_KEY = 'rhodes_german_session';
+
+// Where the drill session is: its queue, the drill shown and whether it's answered
+function saveSession(answered) {
+  try {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify({
+      profile: FSI_Storage.profile,
+      mode: currentMode,
+      remediation: remediationSession,
+      unit: currentUnit,
+      index: currentDrillIndex,
+      cardId: currentMode === 'srs' ? currentCardId() : null,
+      answered,
+      queue: FSI_SRS.sessionQueue.map(card => card.id),
+      correct: sessionCorrect,
+      total: sessionTotal
+    }));
+  } catch (e) {}
+}
+
+function loadSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+function clearSession() {
+  try {
+    sessionStorage.removeItem(SESSION_KEY);
+  } catch (e) {}
+}
+
+// Back into the session the page was reloaded in. An answered drill was
+// already saved, so the session goes on with the next one.
+function resumeSession(saved) {
+  if (!saved || saved.profile !== FSI_Storage.profile) return;
+  const resume = { correct: saved.correct, total: saved.total };
+
+  if (saved.mode === 'linear') {
+    startLinear(saved.unit, { ...resume, index: saved.index + (saved.answered ? 1 : 0) });
+    return;
+  }
+  // Cards done in another tab meanwhile are left out
+  const open = card => card && (saved.remediation ? card.remediation : FSI_SRS.isAvailable(card));
+  resume.queue = saved.queue.map(id => FSI_SRS.cards[id]).filter(open);
+  const card = FSI_SRS.cards[saved.cardId];
+  resume.card = !saved.answered && open(card) ? card : null;
+  if (saved.remediation) startRemediation(resume);
+  else startSRS(resume);
+}
+
+// ===========================================
+// OTHER TABS (same profile)
+// ===========================================
+
+const otherSessions = new Set();  // Tabs with a drill session open
+
+function onOtherTab(message) {
+  if (message.type === 'hello') {
+    // A new tab: tell it whether this one is drilling
+    const drilling = document.getElementById('drill-screen').style.display === 'block';
+    FSI_Storage.broadcast({ type: 'session', active: drilling });
+  } else if (message.type === 'session') {
+    if (message.active) otherSessions.add(message.tab);
+    else otherSessions.delete(message.tab);
+    document.getElementById('tab-warning').style.display = otherSessions.size > 0 ? 'block' : 'none';
+  } else {
+    if (message.key === FSI_Storage.PREFS_KEY && message.value) prefs = message.value;
+    updateStatsDisplay();
+  }
+}
+
+// ===========================================
+// CARD ACTIONS (SRS: undo, bury, suspend, flag)
+// ===========================================
+
+// Next drill, also when the current one was already answered
+function skipToNextDrill() {
+  document.getElementById('submit-btn').onclick = checkAnswer;
+  loadNextDrill();
+}
+
+// Undo the last answer and ask its card again
+function undoAnswer() {
+  if (currentMode !== 'srs') return;
+  const undone = FSI_SRS.undo();
+  if (!undone) return;
+  sessionTotal = Math.max(0, sessionTotal - 1);
+  if (undone.correct) sessionCorrect = Math.max(0, sessionCorrect - 1);
+  document.getElementById('submit-btn').onclick = checkAnswer;
+  loadNextDrill(undone.card);
+  updateStatsDisplay();
+}
+
+function buryCurrentCard() {
+  if (currentMode !== 'srs' || !currentDrill) return;
+  FSI_SRS.buryCard(currentCardId());
+  skipToNextDrill();
+}
+
+function suspendCurrentCard() {
+  if (currentMode !== 'srs' || !currentDrill) return;
+  FSI_SRS.suspendCard(currentCardId());
+  skipToNextDrill();
+}
+
+function toggleFlagCurrentCard() {
+  if (currentMode !== 'srs' || !currentDrill) return;
+  const card = FSI_SRS.cards[currentCardId()];
+  if (!card) return;
+  FSI_SRS.flagCard(card.id, !card.flagged);
+  updateFlagButton(card);
+}
+
+function updateFlagButton(card) {
+  const button = document.getElementById('flag-btn');
+  if (!button) return;
+  button.classList.toggle('active', !!card.flagged);
+  button.textContent = card.flagged ? '⚑ Markiert' : '⚑ Markieren';
+}
+
+// Render one classifier error; case errors show each determiner in its case color
+function formatError(error) {
+  let html = escapeHtml(error.feedback);
+  if (error.subtype !== 'case') return html;
+
+  for (const [word, gramCase] of [[error.got, error.gotCase], [error.expected, error.expectedCase]]) {
+    const quoted = escapeHtml(`"${word}"`);
+    const color = CONFIG.caseColors[gramCase];
+    if (color) html = html.replace(quoted, `<strong style="color:${color}">${quoted}</strong>`);
+  }
+  return html;
+}
+
+// SRS card under review, or in linear mode the card of the drill as shown
+// (direction, register if the forms differ)
+function currentCardId() {
+  if (currentMode === 'srs' && currentCard) return currentCard.id;
+  const registersDiffer = currentDrill.german_formal !== currentDrill.german_informal;
+  return FSI_SRS.cardId(currentDrill.id, drillDirection, registersDiffer ? register : null);
+}
+
+// Render the learner's answer with mistakes marked inline (see FSI_Error.diff)
+function renderDiff(diff) {
+  return diff.map(entry => {
+    switch (entry.op) {
+      case 'equal':
+        return entry.got === entry.expected
+          ? escapeHtml(entry.got)
+          : `<span class="diff-case">${escapeHtml(entry.got)}</span>`;
+      case 'substitute':
+        return renderChars(entry.chars);
+      case 'insert':
+        return `<del class="diff-extra">${escapeHtml(entry.got)}</del>`;
+      case 'delete':
+        return `<ins class="diff-missing">${escapeHtml(entry.expected)}</ins>`;
+      default:
+        // transpose/move: the misplaced word, or a caret where a moved word belongs
+        if (entry.got === null) return '<span class="diff-target">‸</span>';
+        return `<span class="diff-moved">${entry.chars ? renderChars(entry.chars) : escapeHtml(entry.got)}</span>`;
+    }
+  }).join(' ');
+}
+
+// Letters of a misspelled word: wrong ones marked, extra struck out, missing inserted
+function renderChars(chars) {
+  return chars.map(c => {
+    if (c.op === 'equal') return escapeHtml(c.got);
+    if (c.op === 'insert') return `<del>${escapeHtml(c.got)}</del>`;
+    if (c.op === 'delete') return `<ins>${escapeHtml(c.expected)}</ins>`;
+    return `<mark>${escapeHtml(c.got)}</mark>`;
+  }).join('');
+}
+
+// ===========================================
+// DRILL DEFAULTS (per profile)
+// ===========================================
+
+async function loadPrefs() {
+  prefs = { ...prefs, ...(await FSI_Storage.get(FSI_Storage.PREFS_KEY)) };
+  applyPrefs();
+}
+
+function applyPrefs() {
+  setRegister(prefs.register);
+  setDirection(prefs.direction);
+}
+
+function savePrefs(changes) {
+  prefs = { ...prefs, ...changes };
+  FSI_Storage.set(FSI_Storage.PREFS_KEY, prefs);
+}
+
+// SRS cards bring their direction and register: the toggles only show them
+function lockToggles() {
+  for (const id of ['btn-formal', 'btn-informal', 'btn-en-de', 'btn-de-en']) {
+    const button = document.getElementById(id);
+    if (button) button.disabled = currentMode === 'srs';
+  }
+}
+
 // ===========================================
 // REGISTER TOGGLE
 // ===========================================
 
+// The learner's choice becomes the profile's default
+function chooseRegister(reg) {
+  setRegister(reg);
+  savePrefs({ register: reg });
+}
+
 function setRegister(reg) {
   register = reg;
+  lockToggles();
   document.getElementById('btn-formal').className = reg === 'formal' ? 'register-btn active' : 'register-btn';
   document.getElementById('btn-informal').className = reg === 'informal' ? 'register-btn active' : 'register-btn';
 }
@@ -491,8 +849,14 @@ function setRegister(reg) {
 // DIRECTION TOGGLE (EN→DE / DE→EN)
 // ===========================================
 
+function chooseDirection(dir) {
+  setDirection(dir);
+  savePrefs({ direction: dir });
+}
+
 function setDirection(dir) {
   drillDirection = dir;
+  lockToggles();
   const btnEnDe = document.getElementById('btn-en-de');
   const btnDeEn = document.getElementById('btn-de-en');
   if (btnEnDe) btnEnDe.className = dir === 'en-de' ? 'direction-btn active' : 'direction-btn';
@@ -527,57 +891,422 @@ function renderStats() {
     : 0;
   document.getElementById('stats-accuracy').textContent = `${accuracy}%`;
 
+  // Production and recognition are scheduled separately
+  const directionNames = { 'en-de': 'EN → DE', 'de-en': 'DE → EN' };
+  document.getElementById('stats-directions').innerHTML = Object.entries(stats.by_direction)
+    .map(([dir, d]) => `${directionNames[dir] || dir}: ${d.total - d.new} gelernt, ` +
+      `${d.mastered} gemeistert, ${d.reviews} Wiederholungen, ${d.lapses} vergessen`)
+    .join('<br>');
+
   document.getElementById('session-reviewed').textContent = stats.session.reviewed;
   document.getElementById('session-correct').textContent = stats.session.correct;
+
+  renderDeckOptions();
+  renderLeeches();
+  renderForecast();
+  renderOptimizer();
+  renderSync();
 }
 
-function resetProgress() {
-  if (confirm('Fortschritt wirklich zurücksetzen? Dies kann nicht rückgängig gemacht werden.')) {
-    FSI_SRS.resetAllCards();
-    FSI_SRS.resetSessionStats();
-    FSI_SRS.clearAnalytics();
-    alert('Fortschritt zurückgesetzt.');
-    showLanding();
-  }
+// ===========================================
+// DECK OPTIONS (daily limits)
+// ===========================================
+
+function renderDeckOptions() {
+  const params = FSI_SRS.params;
+  document.getElementById('opt-new').value = params.newCardsPerDay;
+  document.getElementById('opt-reviews').value = params.maxReviewsPerDay;
+  document.getElementById('opt-ratio').value = Math.round(params.newCardRatio * 100);
+  document.getElementById('opt-day-start').value = params.dayStartHour;
+  document.getElementById('opt-en-de').checked = params.activeDirections.includes('en-de');
+  document.getElementById('opt-de-en').checked = params.activeDirections.includes('de-en');
+  document.getElementById('opt-formal').checked = params.activeRegisters.includes('formal');
+  document.getElementById('opt-informal').checked = params.activeRegisters.includes('informal');
+  document.getElementById('opt-leech').value = params.leechThreshold;
+  document.getElementById('opt-leech-action').value = params.leechAction;
+  document.getElementById('opt-bury').checked = params.burySiblings;
+
+  const { daily } = FSI_SRS.getStats();
+  document.getElementById('daily-counts').textContent =
+    `Heute: ${daily.newCards} neue Karten, ${daily.reviews} Wiederholungen · ` +
+    `noch ${daily.newLeft} neue, ${daily.reviewsLeft} Wiederholungen`;
+}
+
+async function saveDeckOptions() {
+  const number = (id, min, max) => {
+    const value = parseInt(document.getElementById(id).value, 10);
+    return isNaN(value) ? NaN : Math.min(max, Math.max(min, value));
+  };
+  await FSI_SRS.setOptions({
+    newCardsPerDay: number('opt-new', 0, 500),
+    maxReviewsPerDay: number('opt-reviews', 0, 9999),
+    newCardRatio: number('opt-ratio', 0, 100) / 100,
+    dayStartHour: number('opt-day-start', 0, 23),
+    // At least one of each stays active (an empty list is ignored)
+    activeDirections: ['en-de', 'de-en'].filter(d => document.getElementById(`opt-${d}`).checked),
+    activeRegisters: ['formal', 'informal'].filter(r => document.getElementById(`opt-${r}`).checked),
+    leechThreshold: number('opt-leech', 0, 99),
+    leechAction: document.getElementById('opt-leech-action').value,
+    burySiblings: document.getElementById('opt-bury').checked
+  });
+  // Newly activated variants get their cards
+  initializeCards();
+  renderStats();
 }
 
 // ===========================================
-// GERMAN GRAMMAR HELPERS (for error detection)
+// PROBLEM CARDS (leeches, suspended, flagged)
 // ===========================================
 
-const GermanGrammar = {
-  // Article patterns for case detection
-  articles: {
-    der: { case: 'nominative', gender: 'masculine' },
-    die: { case: 'nominative/accusative', gender: 'feminine/plural' },
-    das: { case: 'nominative/accusative', gender: 'neuter' },
-    den: { case: 'accusative', gender: 'masculine' },
-    dem: { case: 'dative', gender: 'masculine/neuter' },
-    des: { case: 'genitive', gender: 'masculine/neuter' },
-    einer: { case: 'genitive/dative', gender: 'feminine' },
-    einem: { case: 'dative', gender: 'masculine/neuter' },
-    einen: { case: 'accusative', gender: 'masculine' }
-  },
+function renderLeeches() {
+  const list = document.getElementById('leech-list');
+  if (!list) return;
+  const stats = FSI_SRS.getStats();
+  document.getElementById('leech-summary').textContent =
+    `${stats.leeches} Problemkarten · ${stats.suspended} ausgesetzt · ` +
+    `${stats.remediation} zur Nachübung · ${stats.flagged} markiert · ${stats.buried} bis morgen zurückgestellt`;
+
+  const cards = Object.values(FSI_SRS.cards)
+    .filter(c => c.leech || c.suspended || c.flagged)
+    .sort((a, b) => b.lapses - a.lapses)
+    .slice(0, 20);
+  list.innerHTML = cards.map(card => {
+    const drill = drillsData?.drills.find(d => d.id === card.drill_id);
+    const text = drill ? (card.register === 'informal' ? drill.german_informal : drill.german_formal) : card.drill_id;
+    const status = [
+      card.suspended && 'ausgesetzt',
+      card.remediation && 'Nachübung',
+      card.flagged && 'markiert',
+      `${card.lapses}× vergessen`
+    ].filter(Boolean).join(', ');
+    const id = escapeHtml(card.id);
+    const actions = [
+      card.suspended || card.remediation
+        ? `<button class="register-btn" onclick="unsuspendFromStats('${id}')">Fortsetzen</button>` : '',
+      card.flagged
+        ? `<button class="register-btn" onclick="unflagFromStats('${id}')">Markierung entfernen</button>` : ''
+    ].join('');
+    return `<div><span>${escapeHtml(text)} <small style="opacity:0.7">(${status})</small></span><span>${actions}</span></div>`;
+  }).join('');
+
+  document.getElementById('remediation-btn').style.display =
+    FSI_SRS.getRemediationCards().length > 0 ? 'block' : 'none';
+}
 
-  // Common verb conjugation patterns
-  verbEndings: {
-    present: {
-      ich: 'e', du: 'st', 'er/sie/es': 't',
-      wir: 'en', ihr: 't', 'sie/Sie': 'en'
-    }
-  },
+function unsuspendFromStats(cardId) {
+  FSI_SRS.unsuspendCard(cardId);
+  renderStats();
+}
 
-  // Detect case from sentence context
-  detectCase(sentence) {
-    const lower = sentence.toLowerCase();
-    for (const [article, info] of Object.entries(this.articles)) {
-      if (lower.includes(article + ' ')) {
-        return info.case;
-      }
+function unflagFromStats(cardId) {
+  FSI_SRS.flagCard(cardId, false);
+  renderStats();
+}
+
+// ===========================================
+// FORECAST & SIMULATION
+// ===========================================
+
+// Reviews due per day as a bar chart
+function renderForecast() {
+  const chart = document.getElementById('forecast-chart');
+  if (!chart) return;
+  const days = parseInt(document.getElementById('forecast-days').value, 10);
+  const forecast = FSI_Forecast.forecast(days);
+  const peak = Math.max(1, ...forecast.map(d => d.reviews));
+  const total = forecast.reduce((sum, d) => sum + d.reviews, 0);
+
+  chart.innerHTML = forecast.map(d =>
+    `<div style="height: ${d.reviews / peak * 100}%" title="${d.date}: ${d.reviews}"></div>`
+  ).join('');
+  document.getElementById('forecast-summary').textContent =
+    `${total} Wiederholungen in ${days} Tagen · Ø ${Math.round(total / days)}/Tag · Spitze ${peak}`;
+}
+
+// "What if I add N new cards per day at retention R" over the selected period
+function runSimulation() {
+  const days = parseInt(document.getElementById('forecast-days').value, 10);
+  const { summary } = FSI_Forecast.simulate({
+    days,
+    newPerDay: parseInt(document.getElementById('sim-new').value, 10) || 0,
+    retention: (parseInt(document.getElementById('sim-retention').value, 10) || 90) / 100
+  });
+  document.getElementById('sim-result').textContent =
+    `Ø ${summary.averageReviews} Wiederholungen/Tag (Spitze ${summary.peakReviews}) · ` +
+    `${summary.newCards} neue Karten · am Ende ≈ ${summary.memorized} von ${summary.cards} Karten abrufbar`;
+}
+
+// ===========================================
+// FSRS OPTIMIZER
+// ===========================================
+
+let optimizerWorker = null;
+let optimizerResult = null;
+
+// Offer the optimizer once there are enough reviews to fit the weights
+function renderOptimizer() {
+  const status = document.getElementById('optimizer-status');
+  const button = document.getElementById('optimize-btn');
+  if (!status || !button || optimizerWorker || optimizerResult) return;
+
+  const reviews = FSI_Optimizer.reviewCount(FSI_SRS.analytics.responses);
+  const needed = FSI_SRS.params.optimizerMinReviews;
+  const optimized = FSI_SRS.params.optimized;
+  status.textContent = reviews < needed
+    ? `${reviews} / ${needed} Wiederholungen – danach kann das Modell an Sie angepasst werden.`
+    : `${reviews} Wiederholungen` + (optimized
+      ? ` · zuletzt angepasst am ${new Date(optimized.optimizedAt).toLocaleDateString('de-DE')}`
+      : ' · Standardparameter');
+  button.style.display = reviews >= needed ? 'block' : 'none';
+}
+
+function runOptimizer() {
+  if (optimizerWorker) return;
+  const status = document.getElementById('optimizer-status');
+  document.getElementById('optimize-btn').style.display = 'none';
+  status.textContent = 'Optimiere…';
+
+  optimizerWorker = new Worker('js/fsi-optimizer-worker.js');
+  optimizerWorker.onmessage = (e) => {
+    if (e.data.type === 'progress') {
+      status.textContent = `Optimiere… ${Math.round(e.data.iteration / e.data.iterations * 100)}%`;
+      return;
     }
-    return null;
+    optimizerWorker.terminate();
+    optimizerWorker = null;
+    if (e.data.type === 'done') {
+      showOptimizerResult(e.data.result);
+    } else {
+      status.textContent = `Optimierung fehlgeschlagen: ${e.data.message}`;
+    }
+  };
+  optimizerWorker.onerror = (e) => {
+    optimizerWorker.terminate();
+    optimizerWorker = null;
+    status.textContent = `Optimierung fehlgeschlagen: ${e.message}`;
+  };
+  optimizerWorker.postMessage({
+    responses: FSI_SRS.analytics.responses,
+    w: FSI_SRS.params.w
+  });
+}
+
+// Show the prediction error before and after; nothing changes until applied
+function showOptimizerResult(result) {
+  optimizerResult = result;
+  const pct = v => `${(v * 100).toFixed(1)}%`;
+  document.getElementById('optimizer-status').textContent =
+    `${result.reviews} Wiederholungen ausgewertet.`;
+  document.getElementById('optimizer-result').innerHTML = `
+    Vorhersagefehler (RMSE): ${pct(result.before.rmse)} → <strong>${pct(result.after.rmse)}</strong><br>
+    Log-Loss: ${result.before.logLoss.toFixed(3)} → <strong>${result.after.logLoss.toFixed(3)}</strong>
+    <div style="display: flex; gap: 10px; margin-top: 10px;">
+      <button class="btn btn-primary" onclick="applyOptimizerResult()">Übernehmen</button>
+      <button class="btn btn-secondary" onclick="discardOptimizerResult()">Verwerfen</button>
+    </div>`;
+}
+
+// New weights apply to past reviews too: replay each card's log
+async function applyOptimizerResult() {
+  await FSI_SRS.setWeights(optimizerResult.w, optimizerResult);
+  const { skipped } = FSI_SRS.reschedule();
+  discardOptimizerResult();
+  if (skipped > 0) {
+    document.getElementById('optimizer-status').textContent +=
+      ` · ${skipped} Karten ohne vollständigen Verlauf nicht neu geplant`;
   }
-};
+}
+
+function discardOptimizerResult() {
+  optimizerResult = null;
+  document.getElementById('optimizer-result').innerHTML = '';
+  renderOptimizer();
+}
+
+// ===========================================
+// BACKUP (export / import)
+// ===========================================
+
+// Download a backup of the active profile
+async function saveBackupFile() {
+  const backup = await FSI_Backup.create();
+  const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = FSI_Backup.fileName(new Date(), (await currentProfile()).name);
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  return backup;
+}
+
+async function downloadBackup() {
+  const backup = await saveBackupFile();
+  document.getElementById('backup-status').textContent =
+    `Gesichert: ${Object.keys(backup.data.cards).length} Karten, ${backup.data.responses.length} Antworten.`;
+}
+
+// Check the file, ask, then replace or merge the saved progress and reload
+async function importBackup(file) {
+  const status = document.getElementById('backup-status');
+  document.getElementById('backup-file').value = '';
+  if (!file) return;
+
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch (e) {
+    status.textContent = `Sicherung nicht geladen: Die Datei ist kein gültiges JSON (${e.message}).`;
+    return;
+  }
+  const errors = FSI_Backup.validate(backup);
+  if (errors.length > 0) {
+    status.textContent = `Sicherung nicht geladen:\n${errors.join('\n')}`;
+    return;
+  }
+
+  const mode = document.getElementById('backup-mode').value;
+  const date = new Date(backup.exportedAt).toLocaleDateString('de-DE');
+  const question = mode === 'replace'
+    ? `Den gesamten Fortschritt durch die Sicherung vom ${date} ersetzen? Dies kann nicht rückgängig gemacht werden.`
+    : `Die Sicherung vom ${date} mit dem aktuellen Fortschritt zusammenführen?`;
+  if (!confirm(question)) return;
+
+  const result = await FSI_Backup.restore(backup, mode);
+  alert(`Sicherung geladen: ${result.cards} Karten (${result.fromBackup} aus der Sicherung), ` +
+    `${result.responses} Antworten.`);
+  location.reload();
+}
+
+// ===========================================
+// PROFILES (one set of progress and settings per learner)
+// ===========================================
+
+async function currentProfile() {
+  const { profiles } = await FSI_Storage.getProfiles();
+  return profiles.find(p => p.id === FSI_Storage.profile);
+}
+
+async function renderProfiles() {
+  const { active, profiles } = await FSI_Storage.getProfiles();
+  document.getElementById('profile-select').innerHTML = profiles
+    .map(p => `<option value="${p.id}"${p.id === active ? ' selected' : ''}>👤 ${escapeHtml(p.name)}</option>`)
+    .join('');
+  document.getElementById('profile-delete-btn').disabled = profiles.length < 2;
+}
+
+// Every module loads the new profile's data on reload
+async function switchProfile(id) {
+  if (id === FSI_Storage.profile) return;
+  await FSI_Storage.switchProfile(id);
+  location.reload();
+}
+
+async function createProfile() {
+  const name = prompt('Name des neuen Profils:');
+  if (name === null) return;
+  try {
+    const profile = await FSI_Storage.createProfile(name);
+    await switchProfile(profile.id);
+  } catch (e) {
+    alert(e.message);
+  }
+}
+
+async function renameProfile() {
+  const profile = await currentProfile();
+  const name = prompt('Neuer Name des Profils:', profile.name);
+  if (name === null) return;
+  try {
+    await FSI_Storage.renameProfile(profile.id, name);
+  } catch (e) {
+    alert(e.message);
+  }
+  renderProfiles();
+}
+
+async function exportProfile() {
+  await saveBackupFile();
+}
+
+async function deleteProfile() {
+  const profile = await currentProfile();
+  if (!confirm(`Profil „${profile.name}“ mit allen Karten, Statistiken und Einstellungen löschen? ` +
+    'Dies kann nicht rückgängig gemacht werden.')) return;
+  try {
+    await FSI_Storage.deleteProfile(profile.id);
+  } catch (e) {
+    alert(e.message);
+    return;
+  }
+  location.reload();
+}
+
+// ===========================================
+// SYNC (account on the course server)
+// ===========================================
+
+function renderSync() {
+  const signedIn = FSI_Auth.isConfigured();
+  document.getElementById('sync-signed-out').style.display = signedIn ? 'none' : 'block';
+  document.getElementById('sync-signed-in').style.display = signedIn ? 'flex' : 'none';
+
+  const status = document.getElementById('sync-status');
+  if (!signedIn) {
+    status.textContent = FSI_Auth.error || 'Nicht angemeldet: Der Fortschritt bleibt in diesem Browser.';
+    return;
+  }
+
+  const pending = FSI_Auth.pendingCount();
+  const lastSync = FSI_Auth.outbox.lastSync
+    ? new Date(FSI_Auth.outbox.lastSync).toLocaleString('de-DE')
+    : 'noch nie';
+  const lines = [`Angemeldet als ${FSI_Auth.config.username} bei ${FSI_Auth.config.server}`];
+  if (FSI_Auth.status === 'syncing') lines.push('Synchronisiere …');
+  else if (FSI_Auth.status === 'offline') lines.push('Offline: Änderungen werden gesendet, sobald der Server erreichbar ist.');
+  else if (FSI_Auth.status === 'error') lines.push(`Fehler: ${FSI_Auth.error}`);
+  lines.push(`Zuletzt synchronisiert: ${lastSync}` + (pending > 0 ? ` · ${pending} Änderungen ausstehend` : ''));
+  status.textContent = lines.join('\n');
+}
+
+async function signIn(action) {
+  const server = document.getElementById('sync-server').value;
+  const username = document.getElementById('sync-username').value.trim();
+  const password = document.getElementById('sync-password').value;
+  if (!username || !password) {
+    document.getElementById('sync-status').textContent = 'Bitte Name und Passwort eingeben.';
+    return;
+  }
+
+  FSI_Auth.error = null;
+  try {
+    await FSI_Auth[action](server, username, password);
+    document.getElementById('sync-password').value = '';
+  } catch (e) {
+    FSI_Auth.error = `Nicht angemeldet: ${e.message}`;
+  }
+  renderSync();
+}
+
+async function syncNow() {
+  await FSI_Auth.sync();
+  renderSync();
+}
+
+async function signOut() {
+  if (!confirm('Abmelden? Der Fortschritt bleibt in diesem Browser erhalten.')) return;
+  await FSI_Auth.logout();
+  renderSync();
+}
+
+function resetProgress() {
+  if (confirm('Fortschritt wirklich zurücksetzen? Dies kann nicht rückgängig gemacht werden.')) {
+    FSI_SRS.resetAllCards();
+    FSI_SRS.resetSessionStats();
+    FSI_SRS.clearAnalytics();
+    alert('Fortschritt zurückgesetzt.');
+    showLanding();
+  }
+}
 
 // ===========================================
 // UTILITY
@@ -0,0 +1,214 @@
+/**
+ * Rhodes German - Part-of-Speech Tagger
+ * Rule-based tagging of drill sentences into coarse POS patterns
+ * (PRON-VERB-ART-NOUN) so FSI_SRS can interleave drills of different shapes.
+ *
+ * Closed word classes come from GermanGrammar; nouns, verbs and adjectives
+ * from a lexicon built from drills.json (data/pos-lexicon.json, regenerate
+ * with `npm run lexicon`).
+ */
+
+const GermanPOS = {
+  // Open-class words: {word: 'NOUN' | 'VERB' | 'ADJ'}, lowercase keys
+  lexicon: {},
+
+  // GermanGrammar tables: browser global, or required under Node
+  get grammar() {
+    if (typeof GermanGrammar !== 'undefined') return GermanGrammar;
+    return typeof require !== 'undefined' ? require('./german-grammar.js') : null;
+  },
+
+  // ===========================================
+  // CLOSED WORD CLASSES
+  // ===========================================
+
+  pronouns: [
+    'ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'man',
+    'mich', 'dich', 'sich', 'uns', 'euch', 'mir', 'dir', 'ihm', 'ihn', 'ihnen',
+    'jemand', 'niemand', 'etwas', 'nichts', 'alles', 'alle', 'viele', 'beide'
+  ],
+
+  questionWords: [
+    'wer', 'was', 'wo', 'wann', 'wie', 'warum', 'wieso', 'weshalb',
+    'wohin', 'woher', 'wen', 'wem', 'wessen', 'womit', 'wofür', 'worüber'
+  ],
+
+  // Preposition + article contractions
+  contractions: ['im', 'ins', 'am', 'ans', 'zum', 'zur', 'vom', 'beim', 'aufs', 'fürs', 'ums'],
+
+  numbers: [
+    'null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun',
+    'zehn', 'elf', 'zwölf', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'hundert', 'tausend'
+  ],
+
+  // ===========================================
+  // TAGGING
+  // ===========================================
+
+  // Words of a text: [{word, lower, initial}] - initial = starts a sentence
+  tokenize(text) {
+    const tokens = [];
+    let initial = true;
+    for (const raw of text.split(/\s+/)) {
+      const word = raw.replace(/^[^\wäöüÄÖÜß]+|[^\wäöüÄÖÜß]+$/g, '');
+      const ends = /[.!?:]$/.test(raw) && !/^\d+\.$/.test(raw);  // Ordinals: "des 19. Jahrhunderts"
+      if (word) tokens.push({ word, lower: word.toLowerCase(), initial });
+      if (word || ends) initial = ends;
+    }
+    return tokens;
+  },
+
+  // Closed-class tag of a word, or null
+  closedTag(lower) {
+    const g = this.grammar;
+    if (/^\d/.test(lower) || this.numbers.includes(lower)) return 'NUM';
+    if (this.questionWords.includes(lower)) return 'QW';
+    if (this.contractions.includes(lower) || g.prepositionCases[lower]) return 'PREP';
+    if (g.subordinators.includes(lower) || g.coordinators.includes(lower)) return 'CONJ';
+    if (g.determiner(lower)) return 'ART';
+    if (this.pronouns.includes(lower)) return 'PRON';
+    if (g.isFiniteVerb(lower)) return 'VERB';
+    return null;
+  },
+
+  // Capitalized mid-sentence: a noun (formal Sie/Ihr/Ihnen are pronouns)
+  _isNoun(token) {
+    return !token.initial && /^[A-ZÄÖÜ]/.test(token.word) && !this.closedTag(token.lower);
+  },
+
+  // Tag every word: [{word, tag}]
+  tag(text) {
+    const g = this.grammar;
+    const tokens = this.tokenize(text);
+    const tags = [];
+
+    tokens.forEach((token, i) => {
+      const { lower } = token;
+      const next = tokens[i + 1];
+      let tag = this.closedTag(lower);
+
+      // Subordinator or preposition (als, bis, während): a clause follows a conjunction
+      if (tag === 'PREP' && g.subordinators.includes(lower) && next && this.pronouns.includes(next.lower)) {
+        tag = 'CONJ';
+      }
+
+      // Determiner or pronoun: "das Buch" vs "das ist"
+      if (tag === 'ART' && !this._beforeNoun(tokens, i)) {
+        tag = lower === 'sein' ? 'VERB' : 'PRON';
+      }
+
+      if (!tag) tag = this._openTag(token, i > 0 ? { ...tokens[i - 1], tag: tags[i - 1].tag } : null);
+      tags.push({ word: token.word, tag });
+    });
+
+    return tags;
+  },
+
+  // Does a noun phrase follow the determiner at i (noun, or adjectives then noun)?
+  _beforeNoun(tokens, i) {
+    for (let j = i + 1; j < tokens.length && !tokens[j].initial; j++) {
+      const t = tokens[j];
+      if (this._isNoun(t) || this.closedTag(t.lower) === 'NUM') return true;
+      // Only declined adjectives come in between: "das große Haus"
+      const known = this.closedTag(t.lower) || this.lexicon[t.lower];
+      if (known === 'ADJ' || (!known && /e[mnrs]?$/.test(t.lower))) continue;
+      return false;
+    }
+    return false;
+  },
+
+  // Open-class tag: capitalization, lexicon, then word shape.
+  // previous: the word before with its tag
+  _openTag(token, previous) {
+    const g = this.grammar;
+    const { word, lower } = token;
+    const known = this.lexicon[lower];
+
+    if (this._isNoun(token)) return 'NOUN';
+    if (known === 'NOUN' && /^[A-ZÄÖÜ]/.test(word)) return 'NOUN';
+    if (known && known !== 'NOUN') return known;
+
+    if (/(ung|heit|keit|schaft|tion|tät|chen)$/.test(lower) && /^[A-ZÄÖÜ]/.test(word)) return 'NOUN';
+    if (/(lich|ig|isch|bar|sam|los)$/.test(lower)) return 'ADJ';
+    if (g.isParticiple(lower) || g.isInfinitive(lower)) return 'VERB';
+    // Right after the subject pronoun or a sentence-initial pronoun: the finite verb (V2)
+    if (previous?.tag === 'PRON' && (previous.initial || g.subjectPronouns.includes(previous.lower)) &&
+        /(e|st|t|en)$/.test(lower)) {
+      return 'VERB';
+    }
+    return 'ADV';
+  },
+
+  // Coarse structure of a sentence: 'PRON-VERB-ART-NOUN' (repeated tags merged)
+  pattern(text) {
+    const tags = [];
+    for (const { tag } of this.tag(text)) {
+      if (tags[tags.length - 1] !== tag) tags.push(tag);
+    }
+    return tags.join('-');
+  },
+
+  // ===========================================
+  // LEXICON
+  // ===========================================
+
+  // Open-class lexicon from drill sentences. Each word gets the tag most
+  // of its occurrences suggest:
+  //   NOUN - capitalized mid-sentence
+  //   VERB - after a sentence-initial subject or noun phrase, before the
+  //          subject at the start of a clause, or a participle/infinitive
+  //          closing a clause
+  //   ADJ  - between a determiner and a noun, or alone after sein
+  buildLexicon(drills) {
+    const g = this.grammar;
+    const votes = {};
+    const vote = (token, tag) => {
+      if (this.closedTag(token.lower)) return;
+      const counts = votes[token.lower] = votes[token.lower] || {};
+      counts[tag] = (counts[tag] || 0) + 1;
+    };
+
+    for (const drill of drills) {
+      const texts = new Set([drill.german_formal, drill.german_informal].filter(Boolean));
+      for (const text of texts) {
+        for (const clause of text.split(/[,;]|\n/)) {
+          const tokens = this.tokenize(clause);
+          tokens.forEach((token, i) => {
+            const prev = tokens[i - 1];
+            const next = tokens[i + 1];
+            const last = i === tokens.length - 1 || next?.initial;
+
+            if (this._isNoun(token)) {
+              vote(token, 'NOUN');
+            } else if (prev?.initial && g.subjectPronouns.includes(prev.lower)) {
+              vote(token, 'VERB');
+            } else if (prev && this._isNoun(prev) && tokens[i - 2]?.initial && g.determiner(tokens[i - 2].lower)) {
+              vote(token, 'VERB');  // "Der Kellner geht ..."
+            } else if (i === 0 && next && g.subjectPronouns.includes(next.lower)) {
+              vote(token, 'VERB');  // Questions, imperatives, inverted clauses: "Haben Sie ...", "..., lebte ich"
+            } else if (prev && g.determiner(prev.lower) && next && this._isNoun(next)) {
+              vote(token, 'ADJ');
+            } else if (last && prev && ['ist', 'sind', 'bin', 'bist', 'war', 'waren', 'wird'].includes(prev.lower) &&
+                       !g.isParticiple(token.lower)) {
+              vote(token, 'ADJ');
+            } else if (last && i > 1 && (g.isParticiple(token.lower) || g.isInfinitive(token.lower))) {
+              vote(token, 'VERB');
+            }
+          });
+        }
+      }
+    }
+
+    const lexicon = {};
+    for (const word of Object.keys(votes).sort()) {
+      const [[tag]] = Object.entries(votes[word]).sort((a, b) => b[1] - a[1]);
+      lexicon[word] = tag;
+    }
+    return lexicon;
+  }
+};
+
+// Export
+if (typeof module !== 'undefined') {
+  module.exports = GermanPOS;
+}
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Rhodes German - POS Lexicon Build
+ *
+ * Builds the open-class lexicon GermanPOS tags with (nouns, verbs,
+ * adjectives) from the vocabulary of docs/data/drills.json and writes it to
+ * docs/data/pos-lexicon.json.
+ *
+ * Usage: node scripts/build-pos-lexicon.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GermanPOS = require('../docs/js/german-pos.js');
+
+const DRILLS_FILE = path.join(__dirname, '..', 'docs', 'data', 'drills.json');
+const LEXICON_FILE = path.join(__dirname, '..', 'docs', 'data', 'pos-lexicon.json');
+
+function main() {
+  const data = JSON.parse(fs.readFileSync(DRILLS_FILE, 'utf8'));
+  const words = GermanPOS.buildLexicon(data.drills);
+
+  fs.writeFileSync(LEXICON_FILE, JSON.stringify({
+    generated: new Date().toISOString().slice(0, 10),
+    source: 'drills.json',
+    words
+  }, null, 2));
+
+  // Coverage: patterns the tagger now finds in the drills
+  GermanPOS.lexicon = words;
+  const patterns = new Set(data.drills.map(d => GermanPOS.pattern(d.german_formal)));
+  const byTag = {};
+  for (const tag of Object.values(words)) byTag[tag] = (byTag[tag] || 0) + 1;
+
+  console.log(`${Object.keys(words).length} words (${Object.entries(byTag).map(([t, n]) => `${n} ${t}`).join(', ')})`);
+  console.log(`${patterns.size} POS patterns across ${data.drills.length} drills`);
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Rhodes German - Pattern Group Derivation
+ *
+ * Clusters drills into pattern groups for FSI_SRS drill graduation: drills of
+ * the same unit and category (same drill type first) whose german_formal
+ * sentences share a frame and differ only in substituted slots ("Das ist mein
+ * Bruder." / "Das ist meine Schwester."). Each group gets one canonical drill;
+ * the rest are variations that retire from SRS once learned.
+ *
+ * Writes pattern_group/is_canonical into docs/data/drills.json and a report
+ * of the groups to docs/data/pattern-groups-report.md.
+ *
+ * Usage: node scripts/derive-pattern-groups.js [--dry-run]
+ *   --dry-run prints the report instead and writes nothing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const grammar = require('../docs/js/german-grammar.js');
+
+const DRILLS_FILE = path.join(__dirname, '..', 'docs', 'data', 'drills.json');
+const REPORT_FILE = path.join(__dirname, '..', 'docs', 'data', 'pattern-groups-report.md');
+
+// Frame matching: sentences may differ in this many words each, and the
+// shared frame must cover at least this share of the longer sentence
+const MAX_SLOT_WORDS = 3;
+const MIN_SHARED_RATIO = 0.5;
+const MIN_SHARED_WORDS = 2;
+
+// Object and reflexive pronouns swap along with the subject in substitution drills
+const OBJECT_PRONOUNS = ['mich', 'dich', 'sich', 'uns', 'euch', 'mir', 'dir', 'ihm', 'ihn', 'ihnen'];
+
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[.,!?;:«»"„“”]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Word class for alignment: determiners and pronouns are interchangeable slots
+function wordClass(word) {
+  if (grammar.determiner(word)) return 'DET';
+  if (grammar.subjectPronouns.includes(word) || OBJECT_PRONOUNS.includes(word)) return 'PRON';
+  return word;
+}
+
+// Same word up to class or inflection ("fühle"/"fühlen", "der"/"die")
+function sameSlot(a, b) {
+  if (a === b || wordClass(a) === wordClass(b)) return true;
+  let common = 0;
+  while (common < a.length && common < b.length && a[common] === b[common]) common++;
+  return common >= Math.max(3, Math.ceil(0.6 * Math.min(a.length, b.length)));
+}
+
+// Shared frame of two sentences: for each word of `a`, whether it is part of
+// the frame (aligned with `b` by longest common subsequence), or null if the
+// sentences differ in too much to be one pattern
+function sharedFrame(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = sameSlot(a[i], b[j])
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  // Frame words keep their exact form in both sentences; inflected or
+  // substituted words are slots
+  const frame = new Array(a.length).fill(false);
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    if (sameSlot(a[i], b[j]) && lcs[i][j] === lcs[i + 1][j + 1] + 1) {
+      frame[i] = a[i] === b[j];
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  const shared = lcs[0][0];
+  const exact = frame.filter(Boolean).length;
+  if (a.length - exact > MAX_SLOT_WORDS || b.length - exact > MAX_SLOT_WORDS) return null;
+  if (exact < MIN_SHARED_WORDS || shared < MIN_SHARED_RATIO * Math.max(a.length, b.length)) return null;
+  // A frame of only pronouns and articles ("ich … einen …") is no pattern
+  if (!a.some((word, i) => frame[i] && wordClass(word) === word)) return null;
+  return frame;
+}
+
+// Readable group name: the frame with each slot as "…"
+function frameLabel(words, frame) {
+  const label = [];
+  words.forEach((word, i) => {
+    if (frame[i]) label.push(word);
+    else if (label[label.length - 1] !== '…') label.push('…');
+  });
+  return label.join(' ');
+}
+
+// Group drills of a unit and category: each joins the first group whose
+// first drill shares a frame with it, preferring groups of its own drill
+// type. Drills the course already marks as variations (is_canonical: false)
+// that share no frame join the group of the canonical drill before them.
+function deriveGroups(drills) {
+  const buckets = new Map();
+  for (const drill of drills) {
+    if (!drill.german_formal || drill.german_formal.includes('\n')) continue;  // Dialogues stand alone
+    const key = `${drill.unit}|${drill.category}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(drill);
+  }
+
+  const groups = [];
+  for (const bucket of buckets.values()) {
+    const local = [];
+    let anchor = null;  // Group of the last canonical drill
+    for (const drill of bucket) {
+      const words = tokenize(drill.german_formal);
+      const candidates = [
+        ...local.filter(g => g.drills[0].type === drill.type),
+        ...local.filter(g => g.drills[0].type !== drill.type)
+      ];
+      let frame = null;
+      let group = candidates.find(g => (frame = sharedFrame(g.words, words)));
+      if (!group && drill.is_canonical === false) group = anchor;
+
+      if (group) {
+        group.frame = group.frame || frame;  // Frame of the first pair names the group
+        group.drills.push(drill);
+      } else {
+        group = { words, drills: [drill], frame: null };
+        local.push(group);
+      }
+      if (drill.is_canonical !== false) anchor = group;
+    }
+    groups.push(...local.filter(g => g.drills.length > 1));
+  }
+
+  return groups.map(g => {
+    const first = g.drills[0];
+    const unit = `unit${String(first.unit).padStart(2, '0')}`;
+    // Keep a drill already marked canonical, else the first in course order
+    const canonical = g.drills.find(d => d.is_canonical !== false) || first;
+    return {
+      id: `${unit}:${first.category}:${frameLabel(g.words, g.frame || g.words.map(() => true))}`,
+      canonical: canonical.id,
+      drills: g.drills
+    };
+  });
+}
+
+// Insert pattern_group before is_canonical so drills.json keeps its key order
+function applyGroups(drills, groups) {
+  const groupOf = new Map();
+  for (const group of groups) {
+    for (const drill of group.drills) groupOf.set(drill.id, group);
+  }
+
+  return drills.map(drill => {
+    const group = groupOf.get(drill.id);
+    const updated = {};
+    for (const [key, value] of Object.entries(drill)) {
+      if (key === 'pattern_group' || key === 'is_canonical') continue;
+      updated[key] = value;
+    }
+    if (group) updated.pattern_group = group.id;
+    updated.is_canonical = !group || group.canonical === drill.id;
+    return updated;
+  });
+}
+
+function buildReport(drills, groups) {
+  const grouped = groups.reduce((sum, g) => sum + g.drills.length, 0);
+  const byType = {};
+  for (const group of groups) {
+    for (const drill of group.drills) {
+      byType[drill.type] = (byType[drill.type] || 0) + 1;
+    }
+  }
+  const typeTotals = {};
+  for (const drill of drills) typeTotals[drill.type] = (typeTotals[drill.type] || 0) + 1;
+
+  const lines = [
+    '# Pattern Groups',
+    '',
+    'Generated by `scripts/derive-pattern-groups.js`. Drills of the same unit and',
+    'category whose sentences share a frame and differ only in substituted slots',
+    'form a group; ★ marks the canonical drill, the others graduate out of SRS once',
+    'learned.',
+    '',
+    `- Drills: ${drills.length}`,
+    `- Groups: ${groups.length}`,
+    `- Drills in groups: ${grouped} (${groups.length} canonical, ${grouped - groups.length} variations)`,
+    `- Ungrouped drills: ${drills.length - grouped}`,
+    '',
+    '| Type | Grouped | Total |',
+    '|------|---------|-------|',
+    ...Object.entries(typeTotals)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, total]) => `| ${type} | ${byType[type] || 0} | ${total} |`),
+    ''
+  ];
+
+  for (const group of groups) {
+    lines.push(`## ${group.id} (${group.drills.length})`, '');
+    for (const drill of group.drills) {
+      const mark = drill.id === group.canonical ? '★' : '-';
+      lines.push(`${mark} \`${drill.id}\` ${drill.german_formal}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const data = JSON.parse(fs.readFileSync(DRILLS_FILE, 'utf8'));
+  const groups = deriveGroups(data.drills);
+  const drills = applyGroups(data.drills, groups);
+
+  const report = buildReport(drills, groups);
+  if (dryRun) {
+    console.log(report);
+  } else {
+    fs.writeFileSync(REPORT_FILE, report + '\n');
+    fs.writeFileSync(DRILLS_FILE, JSON.stringify({ ...data, drills }, null, 2));
+  }
+
+  const grouped = groups.reduce((sum, g) => sum + g.drills.length, 0);
+  console.log(`${groups.length} pattern groups covering ${grouped} of ${drills.length} drills`);
+  if (dryRun) {
+    console.log(`${grouped - groups.length} variations`);
+    console.log('Dry run: nothing written');
+  } else {
+    console.log(`${grouped - groups.length} variations, report: ${path.relative(process.cwd(), REPORT_FILE)}`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { tokenize, sharedFrame, deriveGroups, applyGroups };
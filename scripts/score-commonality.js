@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * Rhodes German - Commonality Scores
+ *
+ * Scores how common each drill's German is, so FSI_SRS introduces new cards
+ * of a unit in a sensible order: everyday sentences with frequent words
+ * first, rare words and long sentences later. A drill's commonality (0-1)
+ * combines the frequency of its rarest word, the average frequency of its
+ * words, and its length. Word frequency ranks come from the bundled list
+ * scripts/data/german-frequency.txt (word forms, from Wiktionary; see its
+ * header for source and license). Forms not in the list are looked up by
+ * their lemma.
+ *
+ * Writes commonality into docs/data/drills.json.
+ *
+ * Usage: node scripts/score-commonality.js [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const grammar = require('../docs/js/german-grammar.js');
+
+const DRILLS_FILE = path.join(__dirname, '..', 'docs', 'data', 'drills.json');
+const FREQUENCY_FILE = path.join(__dirname, 'data', 'german-frequency.txt');
+
+// Score weights: rarest word, average word, sentence length
+const WEIGHTS = { rarest: 0.4, average: 0.4, length: 0.2 };
+const MAX_WORDS = 20;  // Sentences this long get no length score
+
+// Word forms the rules below miss → lemma: pronouns, contractions, and
+// irregular verb and comparative forms
+const LEMMAS = {
+  mich: 'ich', mir: 'ich', dich: 'du', dir: 'du', uns: 'wir', euch: 'ihr',
+  ihn: 'er', ihm: 'er', ihnen: 'sie',
+  im: 'in', ins: 'in', am: 'an', ans: 'an', zum: 'zu', zur: 'zu', vom: 'von', beim: 'bei',
+  wäre: 'sein', wären: 'sein', sei: 'sein', seien: 'sein', gewesen: 'sein',
+  hätte: 'haben', hätten: 'haben', gehabt: 'haben',
+  wurde: 'werden', wurden: 'werden', würde: 'werden', würden: 'werden', geworden: 'werden', worden: 'werden',
+  konnte: 'können', könnte: 'können', konnten: 'können', könnten: 'können',
+  musste: 'müssen', müsste: 'müssen', mussten: 'müssen', müssten: 'müssen',
+  wollte: 'wollen', wollten: 'wollen', sollte: 'sollen', sollten: 'sollen',
+  durfte: 'dürfen', dürfte: 'dürfen', mochte: 'mögen',
+  tut: 'tun', gibt: 'geben', gefällt: 'gefallen', fängt: 'anfangen', fährt: 'fahren', läuft: 'laufen',
+  liest: 'lesen', spricht: 'sprechen', nimmt: 'nehmen', sieht: 'sehen', isst: 'essen', trifft: 'treffen',
+  ging: 'gehen', kam: 'kommen', sah: 'sehen', gab: 'geben', nahm: 'nehmen', fand: 'finden',
+  fuhr: 'fahren', flog: 'fliegen', blieb: 'bleiben', las: 'lesen', schrieb: 'schreiben', sprach: 'sprechen',
+  traf: 'treffen', stand: 'stehen', lag: 'liegen', fiel: 'fallen', ließ: 'lassen', hielt: 'halten',
+  begann: 'beginnen', trank: 'trinken', aß: 'essen', dachte: 'denken', wusste: 'wissen', brachte: 'bringen',
+  gegangen: 'gehen', gekommen: 'kommen', gesehen: 'sehen', gegeben: 'geben', genommen: 'nehmen',
+  gefunden: 'finden', gewusst: 'wissen', gedacht: 'denken', gebracht: 'bringen', gegessen: 'essen',
+  getrunken: 'trinken', geflogen: 'fliegen', geblieben: 'bleiben', geschrieben: 'schreiben',
+  gelesen: 'lesen', geschlafen: 'schlafen', gefahren: 'fahren', getroffen: 'treffen',
+  gesprochen: 'sprechen', gestanden: 'stehen', gelegen: 'liegen', gesessen: 'sitzen',
+  verstanden: 'verstehen', begonnen: 'beginnen', gewonnen: 'gewinnen', verloren: 'verlieren',
+  geholfen: 'helfen', angefangen: 'anfangen', aufgestanden: 'aufstehen', angekommen: 'ankommen',
+  teurer: 'teuer', besser: 'gut', best: 'gut', besten: 'gut', mehr: 'viel', meisten: 'viel', lieber: 'gern', liebsten: 'gern'
+};
+
+function loadRanks(file = FREQUENCY_FILE) {
+  const ranks = new Map();
+  const words = fs.readFileSync(file, 'utf8').split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+  words.forEach((word, i) => {
+    if (!ranks.has(word)) ranks.set(word, i + 1);
+  });
+  return ranks;
+}
+
+// Lowercase words, without punctuation, numbers and dialogue dashes
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/\s+/)
+    .map(word => word.replace(/^[^a-zäöüß]+|[^a-zäöüß]+$/g, ''))
+    .filter(Boolean);
+}
+
+// Possible lemmas of a word form, most likely first
+function lemmaCandidates(word) {
+  const candidates = [word];
+  if (LEMMAS[word]) candidates.push(LEMMAS[word]);
+
+  const determiner = grammar.determiner(word);
+  if (determiner) {
+    candidates.push(determiner.stem === 'd' ? 'der'
+      : grammar.derWords.includes(determiner.stem) ? determiner.stem + 'er'
+      : determiner.stem);
+  }
+
+  for (const [infinitive, forms] of Object.entries(grammar.paradigms)) {
+    if (forms.includes(word)) candidates.push(infinitive);
+  }
+  for (const [infinitive, forms] of Object.entries(grammar.auxiliaryPast)) {
+    if (forms.includes(word)) candidates.push(infinitive);
+  }
+
+  // Participles: gemacht → machen, angekommen → ankommen, reserviert → reservieren
+  const participle = word.match(/^(ab|an|auf|aus|ein|mit|nach|vor|weg|zu|zurück)?ge(.{2,}?)(t|et|en)$/);
+  if (participle) candidates.push((participle[1] || '') + participle[2] + 'en');
+  if (word.endsWith('iert')) candidates.push(word.slice(0, -1) + 'en');
+
+  // Weak preterite: sagte → sagen, arbeitete → arbeiten
+  const preterite = word.match(/^(.{2,}?)e?te(n|st|t)?$/);
+  if (preterite) candidates.push(preterite[1] + 'en');
+
+  // Inflected nouns and adjectives: Kindern → kind, großen → groß
+  for (const ending of ['ern', 'en', 'er', 'es', 'em', 'e', 'n', 's']) {
+    if (word.length > ending.length + 2 && word.endsWith(ending)) candidates.push(word.slice(0, -ending.length));
+  }
+
+  // Finite verbs: arbeitest → arbeiten
+  const verb = grammar.analyzeVerb(word);
+  if (verb) candidates.push(verb.infinitive);
+  if (verb?.stem) candidates.push(verb.stem + 'en');  // studiere → studieren
+
+  // Umlaut plurals and comparatives: Hände → hand, Brüder → bruder, größer → groß
+  const plain = w => w.replace(/ä/g, 'a').replace(/ö/g, 'o').replace(/ü/g, 'u');
+  return [...candidates, ...candidates.map(plain).filter((w, i) => w !== candidates[i])];
+}
+
+// Frequency rank of a word form (unknown words rank just past the list)
+function wordRank(word, ranks) {
+  for (const lemma of lemmaCandidates(word)) {
+    if (ranks.has(lemma)) return ranks.get(lemma);
+  }
+  return ranks.size + 1;
+}
+
+// Commonality of a German sentence, 0 (rare, long) to 1 (frequent, short)
+function commonality(text, ranks) {
+  const words = tokenize(text);
+  if (words.length === 0) return 0;
+  // Log scale: rank 1 → 1, unknown → 0
+  const scale = Math.log(ranks.size + 1);
+  const scores = words.map(word => 1 - Math.log(wordRank(word, ranks)) / scale);
+
+  const rarest = Math.min(...scores);
+  const average = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+  const length = Math.max(0, 1 - (words.length - 1) / (MAX_WORDS - 1));
+  const score = WEIGHTS.rarest * rarest + WEIGHTS.average * average + WEIGHTS.length * length;
+  return Math.round(score * 1000) / 1000;
+}
+
+// Insert commonality after the drill's content fields, before grouping metadata
+function applyScores(drills, ranks) {
+  return drills.map(drill => {
+    const updated = {};
+    const score = commonality(drill.german_formal || '', ranks);
+    for (const [key, value] of Object.entries(drill)) {
+      if (key === 'commonality') continue;
+      if ((key === 'pattern_group' || key === 'is_canonical') && !('commonality' in updated)) {
+        updated.commonality = score;
+      }
+      updated[key] = value;
+    }
+    if (!('commonality' in updated)) updated.commonality = score;
+    return updated;
+  });
+}
+
+function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const data = JSON.parse(fs.readFileSync(DRILLS_FILE, 'utf8'));
+  const ranks = loadRanks();
+  const drills = applyScores(data.drills, ranks);
+
+  if (!dryRun) {
+    fs.writeFileSync(DRILLS_FILE, JSON.stringify({ ...data, drills }, null, 2));
+  }
+
+  const sorted = [...drills].sort((a, b) => b.commonality - a.commonality);
+  const show = d => `  ${d.commonality.toFixed(3)}  ${d.id}  ${d.german_formal.split('\n')[0]}`;
+  console.log(`Scored ${drills.length} drills with ${ranks.size} ranked words`);
+  console.log('Most common:');
+  sorted.slice(0, 5).forEach(d => console.log(show(d)));
+  console.log('Least common:');
+  sorted.slice(-5).forEach(d => console.log(show(d)));
+  if (dryRun) console.log('Dry run: drills.json not changed');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { loadRanks, lemmaCandidates, wordRank, commonality, applyScores };
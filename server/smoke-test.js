@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Rhodes German - Sync Server Smoke Test
+ *
+ * Starts the sync server on a free port with a temporary data directory and
+ * runs one learner through register → push → pull, plus malformed pushes.
+ *
+ * Usage: npm run sync-test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('./sync-server.js');
+
+async function main() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rhodes-sync-'));
+  const server = createServer({ dataDir });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, route, body, token) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(base + route, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    const registered = await request('POST', '/api/register', { username: 'smoke', password: 'geheim123' });
+    assert.strictEqual(registered.status, 200);
+    const { token } = registered.body;
+
+    const card = { id: 'unit01_001:en-de:formal', last_review: '2026-01-02T10:00:00.000Z', reps: 1 };
+    const response = { id: 'r1', timestamp: '2026-01-02T10:00:00.000Z', cardId: card.id, correct: true };
+    const pushed = await request('POST', '/api/sync', {
+      cards: { [card.id]: { card, revlog: [], updatedAt: '2026-01-02T10:00:00.000Z' } },
+      responses: [response],
+      linear: { state: { units: {} }, updatedAt: '2026-01-02T10:00:00.000Z' }
+    }, token);
+    assert.strictEqual(pushed.status, 200);
+    assert.deepStrictEqual(pushed.body.accepted, { cards: 1, responses: 1, discarded: 0, linear: true });
+
+    const pulled = await request('GET', '/api/sync?since=0', undefined, token);
+    assert.strictEqual(pulled.status, 200);
+    assert.deepStrictEqual(pulled.body.cards[card.id].card, card);
+    assert.deepStrictEqual(pulled.body.responses, [response]);
+    assert.strictEqual((await request('GET', `/api/sync?since=${pulled.body.cursor}`, undefined, token)).body.responses.length, 0);
+
+    // An undo after the push: the older review goes back as a revert and wins
+    const undone = { id: card.id, last_review: null, reps: 0 };
+    const reverted = await request('POST', '/api/sync', {
+      cards: { [card.id]: { card: undone, revlog: [], updatedAt: '2026-01-02T10:01:00.000Z', revert: true } }
+    }, token);
+    assert.strictEqual(reverted.body.accepted.cards, 1);
+    const afterUndo = await request('GET', `/api/sync?since=${pulled.body.cursor}`, undefined, token);
+    assert.deepStrictEqual(afterUndo.body.cards[card.id].card, undone);
+    assert.strictEqual(afterUndo.body.cards[card.id].revert, true);
+
+    // The undone answer is discarded for good, also when pushed again
+    await request('POST', '/api/sync', { discarded: [response.id] }, token);
+    const afterDiscard = await request('GET', `/api/sync?since=${pulled.body.cursor}`, undefined, token);
+    assert.deepStrictEqual(afterDiscard.body.discarded, [response.id]);
+    const repushed = await request('POST', '/api/sync', { responses: [response] }, token);
+    assert.strictEqual(repushed.body.accepted.responses, 0);
+    assert.deepStrictEqual((await request('GET', '/api/sync?since=0', undefined, token)).body.responses, []);
+
+    // A device still holding the undone review, changed before the undo: rejected,
+    // with the server's version to take
+    const stale = await request('POST', '/api/sync', {
+      cards: { [card.id]: { card, revlog: [], updatedAt: '2026-01-02T10:00:30.000Z' } }
+    }, token);
+    assert.deepStrictEqual(stale.body.rejected.cards, [card.id]);
+    assert.deepStrictEqual(stale.body.current[card.id].card, undone);
+
+    for (const body of [null, [], { cards: null }, { cards: [] }, { responses: {} }, { discarded: 'r1' }, { linear: 'x' }]) {
+      const res = await request('POST', '/api/sync', body, token);
+      assert.strictEqual(res.status, 400, `push ${JSON.stringify(body)}`);
+    }
+    assert.strictEqual((await request('GET', '/api/sync?since=0')).status, 401);
+
+    console.log('Sync server smoke test passed');
+  } finally {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+/**
+ * Rhodes German - Sync Server
+ *
+ * Minimal reference server for FSI_Auth (docs/js/fsi-auth.js), to self-host
+ * for a class or run locally for tests. No dependencies; data is kept in
+ * JSON files: users.json (accounts) and one file per learner.
+ *
+ *   POST /api/register, /api/login  {username, password} → {token, username}
+ *   POST /api/sync  {cards, responses, discarded, linear} → {cursor, accepted, rejected, current}
+ *   GET  /api/sync?since=<cursor>  → {cursor, cards, responses, discarded, linear}
+ *   GET  /api/health
+ *
+ * Every stored record gets a sequence number; a pull returns the records
+ * changed after the client's cursor. Conflicts are resolved as in the
+ * client: per card the latest review wins (an undo by the later change),
+ * responses are kept once per id (an undone one stays discarded), linear
+ * progress by latest activity.
+ *
+ * Usage: node server/sync-server.js [--port 8787] [--data server/data]
+ *   Environment: PORT, SYNC_DATA_DIR, SYNC_REGISTRATION=off (accounts only
+ *   from an existing users.json), SYNC_ORIGIN (CORS, default *)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const FSI_Auth = require('../docs/js/fsi-auth.js');
+
+const MAX_BODY = 20 * 1024 * 1024;  // bytes; a first sync sends all responses
+const USERNAME = /^[\w.@-]{2,64}$/;
+const MIN_PASSWORD = 6;
+
+// ============================================
+// FILE STORE
+// ============================================
+
+class Store {
+  constructor(dir) {
+    this.dir = dir;
+    this.users = null;
+    this._queue = Promise.resolve();  // Writes one at a time
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _read(file, fallback) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return fallback;
+      throw e;
+    }
+  }
+
+  // Write to a temp file and rename, so a crash never leaves half a file
+  _write(file, data) {
+    const target = path.join(this.dir, file);
+    fs.writeFileSync(target + '.tmp', JSON.stringify(data));
+    fs.renameSync(target + '.tmp', target);
+  }
+
+  // Run fn exclusively (requests interleave at every await)
+  exclusive(fn) {
+    const run = this._queue.then(fn);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  getUsers() {
+    if (!this.users) this.users = this._read('users.json', {});
+    return this.users;
+  }
+
+  saveUsers() {
+    this._write('users.json', this.users);
+  }
+
+  getLearner(id) {
+    return this._read(`learner-${id}.json`, { seq: 0, cards: {}, responses: {}, linear: null });
+  }
+
+  saveLearner(id, learner) {
+    this._write(`learner-${id}.json`, learner);
+  }
+}
+
+// ============================================
+// ACCOUNTS
+// ============================================
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A new session token for the user; only its hash is stored
+function issueToken(user) {
+  const token = crypto.randomBytes(24).toString('hex');
+  user.tokens = [...(user.tokens || []), hashToken(token)].slice(-20);
+  return token;
+}
+
+function register(store, { username, password }, options) {
+  if (!options.registration) throw httpError(403, 'Neue Konten sind auf diesem Server abgeschaltet.');
+  if (typeof username !== 'string' || !USERNAME.test(username)) {
+    throw httpError(400, 'Der Name darf 2–64 Buchstaben, Ziffern und . _ @ - enthalten.');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD) {
+    throw httpError(400, `Das Passwort braucht mindestens ${MIN_PASSWORD} Zeichen.`);
+  }
+
+  const users = store.getUsers();
+  const key = username.toLowerCase();
+  if (users[key]) throw httpError(409, 'Dieser Name ist bereits vergeben.');
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  const user = { id: crypto.randomBytes(8).toString('hex'), username, salt, hash: hashPassword(password, salt) };
+  users[key] = user;
+  const token = issueToken(user);
+  store.saveUsers();
+  return { token, username };
+}
+
+function login(store, { username, password }) {
+  const user = typeof username === 'string' ? store.getUsers()[username.toLowerCase()] : null;
+  const hash = user && typeof password === 'string' ? hashPassword(password, user.salt) : '';
+  if (!user || !crypto.timingSafeEqual(Buffer.from(hash.padEnd(64)), Buffer.from(user.hash))) {
+    throw httpError(401, 'Name oder Passwort ist falsch.');
+  }
+  const token = issueToken(user);
+  store.saveUsers();
+  return { token, username: user.username };
+}
+
+function authenticate(store, req) {
+  const match = /^Bearer (\w+)$/.exec(req.headers.authorization || '');
+  const hash = match ? hashToken(match[1]) : null;
+  const user = hash && Object.values(store.getUsers()).find(u => (u.tokens || []).includes(hash));
+  if (!user) throw httpError(401, 'Nicht angemeldet.');
+  return user;
+}
+
+// ============================================
+// SYNC
+// ============================================
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Store the records that are newer than what the server has. Rejected cards
+// come back as the server has them (current), for the client to take.
+function push(learner, body) {
+  const { cards = {}, responses = [], discarded = [], linear = null } = isObject(body) ? body : {};
+  if (!isObject(body) || !isObject(cards) || !Array.isArray(responses) || !Array.isArray(discarded) ||
+      (linear !== null && !isObject(linear))) {
+    throw httpError(400, 'Die Synchronisierungsdaten sind ungültig.');
+  }
+
+  const accepted = { cards: 0, responses: 0, discarded: 0, linear: false };
+  const rejected = { cards: [] };
+  const current = {};
+
+  for (const [id, record] of Object.entries(cards)) {
+    if (!record || !record.card || record.card.id !== id) {
+      rejected.cards.push(id);
+      continue;
+    }
+    const stored = learner.cards[id];
+    if (stored && !FSI_Auth.isNewer(record, stored)) {
+      rejected.cards.push(id);
+      current[id] = { card: stored.card, revlog: stored.revlog, updatedAt: stored.updatedAt, revert: !!stored.revert };
+      continue;
+    }
+    learner.cards[id] = {
+      card: record.card,
+      revlog: Array.isArray(record.revlog) ? record.revlog : [],
+      updatedAt: record.updatedAt || null,
+      revert: record.revert === true,
+      seq: ++learner.seq
+    };
+    accepted.cards++;
+  }
+
+  for (const response of responses) {
+    if (!response || typeof response.timestamp !== 'string') continue;
+    const id = FSI_Auth.responseId(response);
+    if (learner.responses[id]) continue;
+    learner.responses[id] = { response, seq: ++learner.seq };
+    accepted.responses++;
+  }
+
+  // Undone answers: the id stays taken, so the response can't come back
+  for (const id of discarded) {
+    if (typeof id !== 'string' || learner.responses[id]?.discarded) continue;
+    learner.responses[id] = { discarded: true, seq: ++learner.seq };
+    accepted.discarded++;
+  }
+
+  if (linear && linear.state && (linear.updatedAt || '') > (learner.linear?.updatedAt || '')) {
+    learner.linear = { state: linear.state, updatedAt: linear.updatedAt, seq: ++learner.seq };
+    accepted.linear = true;
+  }
+
+  return { cursor: learner.seq, accepted, rejected, current };
+}
+
+// Everything stored after the cursor
+function pull(learner, since) {
+  const cards = {};
+  for (const [id, { card, revlog, updatedAt, revert, seq }] of Object.entries(learner.cards)) {
+    if (seq > since) cards[id] = { card, revlog, updatedAt, revert: !!revert };
+  }
+  const changed = Object.entries(learner.responses).filter(([, entry]) => entry.seq > since);
+  const responses = changed.filter(([, entry]) => !entry.discarded).map(([, entry]) => entry.response);
+  const discarded = changed.filter(([, entry]) => entry.discarded).map(([id]) => id);
+  const linear = learner.linear && learner.linear.seq > since
+    ? { state: learner.linear.state, updatedAt: learner.linear.updatedAt }
+    : null;
+
+  return { cursor: learner.seq, cards, responses, discarded, linear };
+}
+
+// ============================================
+// HTTP
+// ============================================
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(httpError(413, 'Die Anfrage ist zu groß.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size === 0) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (e) {
+        reject(httpError(400, 'Ungültiges JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, origin) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(body === null ? '' : JSON.stringify(body));
+}
+
+function createServer(options = {}) {
+  options = {
+    dataDir: path.join(__dirname, 'data'),
+    registration: true,
+    origin: '*',
+    ...options
+  };
+  const store = new Store(options.dataDir);
+
+  const routes = {
+    'GET /api/health': async () => ({ ok: true }),
+    'POST /api/register': async req => {
+      const body = await readBody(req);
+      return store.exclusive(() => register(store, body, options));
+    },
+    'POST /api/login': async req => {
+      const body = await readBody(req);
+      return store.exclusive(() => login(store, body));
+    },
+    'POST /api/sync': async req => {
+      const body = await readBody(req);
+      return store.exclusive(() => {
+        const user = authenticate(store, req);
+        const learner = store.getLearner(user.id);
+        const result = push(learner, body);
+        store.saveLearner(user.id, learner);
+        return result;
+      });
+    },
+    'GET /api/sync': async (req, url) => {
+      const since = Number(url.searchParams.get('since')) || 0;
+      return store.exclusive(() => pull(store.getLearner(authenticate(store, req).id), since));
+    }
+  };
+
+  return http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204, null, options.origin);
+
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[`${req.method} ${url.pathname}`];
+    try {
+      if (!route) throw httpError(404, 'Unbekannter Pfad.');
+      send(res, 200, await route(req, url), options.origin);
+    } catch (e) {
+      if (!e.status) console.error(e);
+      send(res, e.status || 500, { error: e.status ? e.message : 'Interner Serverfehler.' }, options.origin);
+    }
+  });
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function main() {
+  const args = process.argv.slice(2);
+  const arg = name => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+
+  const port = Number(arg('port') || process.env.PORT || 8787);
+  const dataDir = path.resolve(arg('data') || process.env.SYNC_DATA_DIR || path.join(__dirname, 'data'));
+  const server = createServer({
+    dataDir,
+    registration: process.env.SYNC_REGISTRATION !== 'off',
+    origin: process.env.SYNC_ORIGIN || '*'
+  });
+
+  server.listen(port, () => {
+    console.log(`Sync server on http://localhost:${port} (data: ${dataDir})`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createServer, push, pull };